@@ -1,3 +1,4 @@
+#!/usr/bin/env node
 /**
  * Generic Web Monitor v3
  *
@@ -10,36 +11,66 @@
  * - Screenshot on error
  * - Isolated browser contexts
  * - Rate limiting/staggering
- * - Health endpoint + Web UI dashboard
+ * - Health endpoint + Web UI dashboard (live updates over Server-Sent Events)
+ * - Per-watch detail pages (history timeline, value charts, change views)
+ * - Pause/resume, snooze, reset-baseline and clear-errors controls
+ * - Optional dashboard/API authentication with viewer and operator roles
+ * - Prometheus metrics (phase duration histograms, per-watch/channel counters, opt-in extractor gauges)
  * - Transform chaining
  * - Notification throttling
  * - JSON extractor with JSONPath
- * - Per-extractor comparators
+ * - Records extractor (objects from repeated elements)
+ * - Network response capture extractor (XHR/fetch payloads)
+ * - Per-extractor comparators (incl. keyed record diffs)
  * - Error notifications after N failures
  * - Diff in notifications
- * - Config validation
- * - Hot reload
+ * - Config validation against a JSON Schema (with did-you-mean hints)
+ * - Secret references (env, secrets file, Docker secrets) with redaction
+ * - Hot reload (file watcher; removed/disabled watches are stopped)
  * - Multiple notification channels per watch
  * - Authentication/login flows
  * - Persistent browser sessions
  * - XPath selector support
+ * - Persistent, queryable change history
+ * - Browserless HTTP engine for static pages and JSON APIs
+ * - Concurrency-limited job queue (global + per-domain)
+ * - Full cron syntax with timezones and exact next-run timers
+ * - Visual (screenshot) diff comparator with ignore regions
+ * - Text diff comparator with line/word-level diffs
+ * - Email (SMTP) notifications with HTML body and attachments
+ * - Slack, Discord, Teams and Matrix notifications with native formatting
+ * - Notification delivery queue with retries and dead letters
+ * - Web UI config editor backed by a REST API
+ * - Dry-run test endpoint (no state, no notifications)
+ * - Command-line interface (run, test, validate, state, history, notify-test)
+ * - Pagination (next link, URL template, infinite scroll) with merged results
+ * - Config templates (extends) and target lists (inline or CSV)
  *
  * Configuration via JSON files in /config directory
  */
 
 const { chromium } = require('playwright');
+const { PNG } = require('pngjs');
+const pixelmatch = require('pixelmatch');
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const http = require('http');
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const readline = require('readline');
 
 // Config directory
 const CONFIG_DIR = process.env.CONFIG_DIR || '/config';
 const STATE_DIR = process.env.STATE_DIR || '/state';
 const SCREENSHOT_DIR = process.env.SCREENSHOT_DIR || '/state/screenshots';
 const SESSION_DIR = process.env.SESSION_DIR || '/state/sessions';
+const VISUAL_DIR = process.env.VISUAL_DIR || path.join(STATE_DIR, 'visual');
+const VISUAL_DIFF_KEEP = parseInt(process.env.VISUAL_DIFF_KEEP) || 20;
 const DEFAULT_CHECK_INTERVAL_MS = parseInt(process.env.CHECK_INTERVAL_MS) || 5 * 60 * 1000;
 const HEALTH_PORT = parseInt(process.env.HEALTH_PORT) || 8080;
+const DEFAULT_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
 
 // Retry config
 const MAX_RETRIES = parseInt(process.env.MAX_RETRIES) || 3;
@@ -48,6 +79,11 @@ const RETRY_BASE_DELAY_MS = parseInt(process.env.RETRY_BASE_DELAY_MS) || 5000;
 // Rate limiting
 const STAGGER_DELAY_MS = parseInt(process.env.STAGGER_DELAY_MS) || 2000;
 
+// Job queue concurrency
+const MAX_CONCURRENCY = parseInt(process.env.MAX_CONCURRENCY) || 2;
+const MAX_CONCURRENCY_PER_DOMAIN = parseInt(process.env.MAX_CONCURRENCY_PER_DOMAIN) || 1;
+const DOMAIN_CONCURRENCY = parseDomainConcurrency(process.env.DOMAIN_CONCURRENCY);
+
 // Notification throttling
 const NOTIFICATION_THROTTLE_MS = parseInt(process.env.NOTIFICATION_THROTTLE_MS) || 60000;
 
@@ -59,6 +95,32 @@ const TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
 const TELEGRAM_CHAT_ID = process.env.TELEGRAM_CHAT_ID;
 const NTFY_URL = process.env.NTFY_URL;
 const WEBHOOK_URL = process.env.WEBHOOK_URL;
+const SLACK_WEBHOOK_URL = process.env.SLACK_WEBHOOK_URL;
+const DISCORD_WEBHOOK_URL = process.env.DISCORD_WEBHOOK_URL;
+const TEAMS_WEBHOOK_URL = process.env.TEAMS_WEBHOOK_URL;
+const MATRIX_HOMESERVER = process.env.MATRIX_HOMESERVER;
+const MATRIX_ACCESS_TOKEN = process.env.MATRIX_ACCESS_TOKEN;
+const MATRIX_ROOM_ID = process.env.MATRIX_ROOM_ID;
+const SMTP_HOST = process.env.SMTP_HOST;
+const SMTP_PORT = parseInt(process.env.SMTP_PORT) || null;
+const SMTP_SECURE = process.env.SMTP_SECURE === 'true';
+const SMTP_USERNAME = process.env.SMTP_USERNAME;
+const SMTP_PASSWORD = process.env.SMTP_PASSWORD;
+const SMTP_FROM = process.env.SMTP_FROM;
+const SMTP_TO = process.env.SMTP_TO;
+const CHANNEL_TYPES = ['telegram', 'ntfy', 'webhook', 'email', 'slack', 'discord', 'teams', 'matrix'];
+
+// Secrets (${secret:name} / ${env:NAME} references in watch configs)
+const SECRETS_FILE = process.env.SECRETS_FILE || null;
+const SECRETS_DIR = process.env.SECRETS_DIR || '/run/secrets';
+
+// Dashboard/API authentication (off unless users or tokens are configured)
+const AUTH_USERS = process.env.AUTH_USERS || '';
+const API_TOKENS = process.env.API_TOKENS || '';
+const SESSION_TTL_MS = parseInt(process.env.SESSION_TTL_MS) || 12 * 60 * 60 * 1000;
+// Watch configs can run code (custom comparators), so without authentication
+// the API refuses to change them unless explicitly allowed
+const ALLOW_UNAUTHENTICATED_EDITS = process.env.ALLOW_UNAUTHENTICATED_EDITS === 'true';
 
 // Global state
 let browser = null;
@@ -72,14 +134,58 @@ let configHashes = new Map();
 let persistentContexts = new Map();
 let watchHistory = new Map(); // Last N results per watch
 let watchSchedules = new Map(); // Next scheduled run time per watch
+let lastTextDiffs = new Map(); // Latest textDiff change per watch and field
+let watchFiles = new Map(); // Config file each scheduled watch was loaded from
 const HISTORY_SIZE = parseInt(process.env.HISTORY_SIZE) || 10;
 
+// Persistent history (append-only JSONL per watch)
+const HISTORY_DIR = process.env.HISTORY_DIR || path.join(STATE_DIR, 'history');
+const HISTORY_RETENTION_DAYS = parseInt(process.env.HISTORY_RETENTION_DAYS) || 90;
+const HISTORY_MAX_ENTRIES = parseInt(process.env.HISTORY_MAX_ENTRIES) || 10000;
+const HISTORY_PRUNE_INTERVAL_MS = parseInt(process.env.HISTORY_PRUNE_INTERVAL_MS) || 60 * 60 * 1000;
+
+// Notification delivery queue (retries with exponential backoff, dead letters)
+const NOTIFY_DIR = path.join(STATE_DIR, 'notifications');
+const NOTIFY_MAX_ATTEMPTS = parseInt(process.env.NOTIFY_MAX_ATTEMPTS) || 6;
+const NOTIFY_RETRY_BASE_MS = parseInt(process.env.NOTIFY_RETRY_BASE_MS) || 30 * 1000;
+const NOTIFY_RETRY_MAX_MS = parseInt(process.env.NOTIFY_RETRY_MAX_MS) || 60 * 60 * 1000;
+const NOTIFY_QUEUE_INTERVAL_MS = parseInt(process.env.NOTIFY_QUEUE_INTERVAL_MS) || 10 * 1000;
+const NOTIFY_DEAD_LETTER_MAX = parseInt(process.env.NOTIFY_DEAD_LETTER_MAX) || 200;
+const NOTIFY_LOG_MAX_ENTRIES = parseInt(process.env.NOTIFY_LOG_MAX_ENTRIES) || 5000;
+
+// Config hot reload (fs.watch with a debounce, plus a slow safety poll)
+const CONFIG_RELOAD_DEBOUNCE_MS = parseInt(process.env.CONFIG_RELOAD_DEBOUNCE_MS) || 1000;
+const CONFIG_POLL_INTERVAL_MS = parseInt(process.env.CONFIG_POLL_INTERVAL_MS) || 5 * 60 * 1000;
+const ARCHIVE_REMOVED_STATE = process.env.ARCHIVE_REMOVED_STATE === 'true';
+const ARCHIVE_DIR = path.join(STATE_DIR, 'archive');
+
+// Runtime controls (pause, snooze) set from the dashboard/API
+const CONTROLS_DIR = path.join(STATE_DIR, 'controls');
+
 // ============================================================================
 // UTILITY FUNCTIONS
 // ============================================================================
 
 const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
+// Longest delay setTimeout supports (2^31 - 1 ms)
+const MAX_TIMER_DELAY_MS = 2147483647;
+
+/**
+ * Parse per-domain concurrency overrides: "example.com=2,api.example.com=5"
+ */
+function parseDomainConcurrency(value) {
+  const limits = new Map();
+  if (!value) return limits;
+  for (const pair of value.split(',')) {
+    const [domain, limit] = pair.split('=').map(s => s.trim());
+    if (domain && parseInt(limit) > 0) {
+      limits.set(domain.toLowerCase(), parseInt(limit));
+    }
+  }
+  return limits;
+}
+
 /**
  * Simple JSONPath implementation
  */
@@ -107,51 +213,178 @@ function jsonPath(obj, pathStr) {
   return current;
 }
 
-/**
- * Parse cron expression and check if it should run now
- */
-function shouldRunCron(cronExpr, lastRun) {
-  // Simple cron parser: "minute hour dayOfMonth month dayOfWeek"
-  // Supports: numbers, *, */n
-  const parts = cronExpr.split(/\s+/);
-  if (parts.length !== 5) return false;
+const CRON_MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'], offset: 1 },
+  { name: 'dayOfWeek', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'], offset: 0 }
+];
+
+function parseCronValue(value, field, expr) {
+  const upper = value.toUpperCase();
+  if (field.names && field.names.includes(upper)) {
+    return field.names.indexOf(upper) + field.offset;
+  }
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`Invalid cron expression "${expr}": bad ${field.name} value "${value}"`);
+  }
+  const num = parseInt(value);
+  if (num < field.min || num > field.max) {
+    throw new Error(`Invalid cron expression "${expr}": ${field.name} ${num} out of range ${field.min}-${field.max}`);
+  }
+  return num;
+}
 
-  const now = new Date();
-  const checks = [
-    { value: now.getMinutes(), part: parts[0] },
-    { value: now.getHours(), part: parts[1] },
-    { value: now.getDate(), part: parts[2] },
-    { value: now.getMonth() + 1, part: parts[3] },
-    { value: now.getDay(), part: parts[4] }
-  ];
+function parseCronField(spec, field, expr) {
+  const values = new Set();
 
-  for (const { value, part } of checks) {
-    if (part === '*') continue;
-    if (part.startsWith('*/')) {
-      const interval = parseInt(part.substring(2));
-      if (value % interval !== 0) return false;
-    } else if (part.includes(',')) {
-      const values = part.split(',').map(Number);
-      if (!values.includes(value)) return false;
-    } else if (part.includes('-')) {
-      const [min, max] = part.split('-').map(Number);
-      if (value < min || value > max) return false;
+  for (const part of spec.split(',')) {
+    const [base, stepStr, extra] = part.split('/');
+    if (extra !== undefined || base === '') {
+      throw new Error(`Invalid cron expression "${expr}": bad ${field.name} "${part}"`);
+    }
+
+    let step = 1;
+    if (stepStr !== undefined) {
+      if (!/^\d+$/.test(stepStr) || parseInt(stepStr) === 0) {
+        throw new Error(`Invalid cron expression "${expr}": bad step in ${field.name} "${part}"`);
+      }
+      step = parseInt(stepStr);
+    }
+
+    let start, end;
+    if (base === '*' || base === '?') {
+      start = field.min;
+      end = field.max;
+    } else if (base.includes('-')) {
+      const [a, b] = base.split('-');
+      start = parseCronValue(a, field, expr);
+      end = parseCronValue(b, field, expr);
+      if (start > end) {
+        throw new Error(`Invalid cron expression "${expr}": ${field.name} range ${base} is reversed`);
+      }
     } else {
-      if (parseInt(part) !== value) return false;
+      start = parseCronValue(base, field, expr);
+      end = stepStr !== undefined ? field.max : start;
+    }
+
+    for (let v = start; v <= end; v += step) {
+      // Day of week 7 is Sunday
+      values.add(field.name === 'dayOfWeek' && v === 7 ? 0 : v);
     }
   }
 
-  // Don't run if we ran in the same minute
-  if (lastRun) {
-    const lastRunDate = new Date(lastRun);
-    if (lastRunDate.getMinutes() === now.getMinutes() &&
-        lastRunDate.getHours() === now.getHours() &&
-        lastRunDate.getDate() === now.getDate()) {
-      return false;
+  return values;
+}
+
+/**
+ * Parse a 5-field cron expression (or @macro) into sets of allowed values
+ */
+function parseCron(cronExpr) {
+  const expr = String(cronExpr || '').trim();
+  const expanded = CRON_MACROS[expr.toLowerCase()] || expr;
+  const parts = expanded.split(/\s+/);
+
+  if (parts.length !== 5) {
+    throw new Error(`Invalid cron expression "${expr}": expected 5 fields (minute hour dayOfMonth month dayOfWeek)`);
+  }
+
+  const parsed = {};
+  CRON_FIELDS.forEach((field, i) => {
+    parsed[field.name] = parseCronField(parts[i], field, expr);
+  });
+
+  // Vixie cron semantics: if both day fields are restricted, either may match
+  parsed.dayOfMonthRestricted = !parts[2].startsWith('*') && !parts[2].startsWith('?');
+  parsed.dayOfWeekRestricted = !parts[4].startsWith('*') && !parts[4].startsWith('?');
+
+  return parsed;
+}
+
+const timezoneFormatters = new Map();
+
+/**
+ * Wall-clock fields of a date in the given IANA timezone (default: process timezone)
+ */
+function getZonedFields(date, timeZone) {
+  const key = timeZone || '';
+  if (!timezoneFormatters.has(key)) {
+    timezoneFormatters.set(key, new Intl.DateTimeFormat('en-US', {
+      timeZone: timeZone || undefined,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short'
+    }));
+  }
+
+  const fields = {};
+  for (const { type, value } of timezoneFormatters.get(key).formatToParts(date)) {
+    fields[type] = value;
+  }
+
+  return {
+    minute: parseInt(fields.minute),
+    hour: parseInt(fields.hour),
+    dayOfMonth: parseInt(fields.day),
+    month: parseInt(fields.month),
+    dayOfWeek: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(fields.weekday)
+  };
+}
+
+function cronDayMatches(cron, fields) {
+  const domMatch = cron.dayOfMonth.has(fields.dayOfMonth);
+  const dowMatch = cron.dayOfWeek.has(fields.dayOfWeek);
+  if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) {
+    return domMatch || dowMatch;
+  }
+  return domMatch && dowMatch;
+}
+
+/**
+ * Compute the next time (strictly after `after`) a cron expression fires
+ * in the given timezone. Returns null if it never fires within 5 years.
+ */
+function nextCronRun(cronExpr, after = new Date(), timeZone = null) {
+  const cron = typeof cronExpr === 'string' ? parseCron(cronExpr) : cronExpr;
+
+  // Start at the next whole minute
+  let time = Math.floor(after.getTime() / 60000) * 60000 + 60000;
+  const limit = after.getTime() + 5 * 366 * 24 * 60 * 60 * 1000;
+
+  while (time <= limit) {
+    const fields = getZonedFields(new Date(time), timeZone);
+
+    // Skip to the next hour boundary when the day or hour can't match.
+    // Hour steps keep DST transitions safe, unlike jumping whole days.
+    if (!cron.month.has(fields.month) || !cronDayMatches(cron, fields) || !cron.hour.has(fields.hour)) {
+      time += (60 - fields.minute) * 60000;
+      continue;
+    }
+
+    if (!cron.minute.has(fields.minute)) {
+      time += 60000;
+      continue;
     }
+
+    return new Date(time);
   }
 
-  return true;
+  return null;
 }
 
 /**
@@ -174,6 +407,29 @@ async function withRetry(fn, maxRetries = MAX_RETRIES, baseDelay = RETRY_BASE_DE
   throw lastError;
 }
 
+/**
+ * Watch identifier: explicit id, or a short hash of the URL
+ */
+function getWatchId(config) {
+  return config.id || crypto.createHash('md5').update(config.url || '').digest('hex').substring(0, 8);
+}
+
+/**
+ * Watch ids name state, history and visual baseline files. Ids come from
+ * configs and request URLs, so any that could leave those directories
+ * ("..", path separators) are refused.
+ */
+function isSafeWatchId(watchId) {
+  return typeof watchId === 'string' && !['', '.', '..'].includes(watchId) && !/[\/\\\0]/.test(watchId);
+}
+
+function watchPath(dir, watchId, suffix = '') {
+  if (!isSafeWatchId(watchId)) {
+    throw new Error(`Invalid watch id "${watchId}"`);
+  }
+  return path.join(dir, `${watchId}${suffix}`);
+}
+
 /**
  * Calculate hash of config for change detection
  */
@@ -185,32 +441,79 @@ function hashConfig(config) {
 }
 
 /**
- * Validate config structure
+ * Collect validation errors for a watch config (empty array when valid)
  */
-function validateConfig(config, filename) {
-  const errors = [];
+function getConfigErrors(config) {
+  // Structure, types and unknown options come from the JSON Schema
+  const errors = validateSchema(config, WATCH_SCHEMA);
+  if (schemaType(config) !== 'object') return errors;
+
+  const extractors = Array.isArray(config.extractors) ? config.extractors : [];
+  const names = new Set();
+  extractors.forEach((ext, i) => {
+    if (!ext || typeof ext !== 'object') return;
+    if (ext.name && names.has(ext.name)) {
+      errors.push(`extractors[${i}].name: duplicate extractor name "${ext.name}"`);
+    }
+    names.add(ext.name);
+    if (ext.comparator === 'visual' && ext.type !== 'screenshot') {
+      errors.push(`extractors[${i}].comparator: visual comparator requires a screenshot extractor`);
+    }
+    if (ext.type === 'response' && typeof ext.urlPattern === 'string') {
+      try {
+        new RegExp(ext.urlPattern);
+      } catch (e) {
+        errors.push(`extractors[${i}].urlPattern: ${e.message}`);
+      }
+    }
+    if ((ext.comparator || config.comparator) === 'keyed' && !ext.keyField && !config.keyField) {
+      errors.push(`extractors[${i}].keyField: required for the keyed comparator`);
+    }
+  });
+
+  if (typeof config.id === 'string' && !isSafeWatchId(config.id)) {
+    errors.push('id: must not be "." or ".." or contain path separators');
+  }
+  if (config.schedule && config.interval) {
+    errors.push('schedule: cannot specify both schedule (cron) and interval');
+  }
 
-  if (!config.url) {
-    errors.push('Missing required field: url');
+  if (typeof config.schedule === 'string') {
+    try {
+      parseCron(config.schedule);
+    } catch (e) {
+      errors.push(`schedule: ${e.message}`);
+    }
   }
 
-  if (!config.extractors || !Array.isArray(config.extractors) || config.extractors.length === 0) {
-    errors.push('Missing or empty extractors array');
-  } else {
-    for (let i = 0; i < config.extractors.length; i++) {
-      const ext = config.extractors[i];
-      if (!ext.name) errors.push(`Extractor ${i}: missing name`);
-      if (!ext.type) errors.push(`Extractor ${i}: missing type`);
-      if (['text', 'innerText', 'attribute', 'value', 'options', 'html', 'outerHtml', 'count', 'exists', 'xpath'].includes(ext.type) && !ext.selector) {
-        errors.push(`Extractor ${i} (${ext.name}): missing selector for type ${ext.type}`);
-      }
+  if (typeof config.scheduleTimezone === 'string') {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: config.scheduleTimezone });
+    } catch (e) {
+      errors.push(`scheduleTimezone: invalid timezone ${config.scheduleTimezone}`);
     }
   }
 
-  if (config.schedule && config.interval) {
-    errors.push('Cannot specify both schedule (cron) and interval');
+  if (config.engine === 'http') {
+    if (config.actions?.length) {
+      errors.push('actions: actions require a browser and are not supported with engine "http"');
+    }
+    extractors.forEach((ext, i) => {
+      if (ext?.type === 'screenshot' || ext?.type === 'response') {
+        errors.push(`extractors[${i}].type: ${ext.type} is not supported with engine "http"`);
+      }
+    });
+    if (config.pagination?.type === 'scroll') {
+      errors.push('pagination.type: scroll requires a browser and is not supported with engine "http"');
+    }
   }
 
+  return errors;
+}
+
+function validateConfig(config, filename, templates = undefined) {
+  const errors = getConfigFileErrors(config, templates);
+
   if (errors.length > 0) {
     console.log(`\nConfig validation errors in ${filename}:`);
     errors.forEach(e => console.log(`  - ${e}`));
@@ -220,6 +523,734 @@ function validateConfig(config, filename) {
   return true;
 }
 
+// ============================================================================
+// CONFIG SCHEMA
+// ============================================================================
+
+// Free-form annotations allowed on every object in a config
+const SCHEMA_ANNOTATIONS = {
+  comment: { type: 'string', description: 'Free-form note, ignored' },
+  description: { type: 'string', description: 'Free-form description, ignored' }
+};
+
+// Keys starting with "_" or "$" ($schema, _notes...) are never flagged
+const SCHEMA_PASSTHROUGH = { '^[_$]': {} };
+
+const SCHEMA_SELECTOR = { type: 'string', minLength: 1, description: 'CSS selector (or XPath with xpath: true)' };
+const SCHEMA_TIMEOUT = { type: 'number', minimum: 0, description: 'Timeout in ms' };
+const SCHEMA_STRING_LIST = { type: 'array', items: { type: 'string' } };
+
+const COMPARATOR_TYPES = ['hash', 'length', 'exact', 'added', 'removed', 'addedOrRemoved', 'keyed', 'numeric', 'increased',
+  'decreased', 'textDiff', 'visual', 'none', 'regex', 'custom'];
+
+// Comparator options, allowed on the watch and on each extractor
+const COMPARATOR_OPTIONS = {
+  threshold: { type: 'number', minimum: 0, description: 'Minimum numeric change (numeric/increased/decreased) or diff percent (visual)' },
+  pattern: { type: 'string', description: 'Regex for the regex comparator' },
+  flags: { type: 'string', description: 'Regex flags' },
+  negate: { type: 'boolean', description: 'regex comparator: alert when the pattern does NOT match' },
+  ignoreWhitespace: { type: 'boolean', description: 'textDiff: ignore whitespace-only changes' },
+  ignoreCase: { type: 'boolean', description: 'textDiff: ignore case changes' },
+  ignorePatterns: { ...SCHEMA_STRING_LIST, description: 'textDiff: regexes removed before diffing' },
+  minChangedChars: { type: 'integer', minimum: 0, description: 'textDiff: minimum changed characters to alert' },
+  contextLines: { type: 'integer', minimum: 0, description: 'textDiff: unchanged lines shown around changes' },
+  keyField: {
+    anyOf: [{ type: 'string', minLength: 1 }, { ...SCHEMA_STRING_LIST, minItems: 1 }],
+    description: 'keyed: record field (or fields) identifying a record'
+  },
+  ignoreFields: { ...SCHEMA_STRING_LIST, description: 'keyed: record fields whose changes are ignored' },
+  notifyOn: {
+    type: 'array',
+    items: { type: 'string', enum: ['added', 'removed', 'modified'] },
+    description: 'keyed: kinds of change that trigger a notification (default all)'
+  }
+};
+
+const TRANSFORM_OPTIONS = {
+  flatten: { depth: { type: 'integer', minimum: 1 } },
+  unique: {},
+  sort: { key: { type: 'string' }, desc: { type: 'boolean' } },
+  reverse: {},
+  join: { separator: { type: 'string' } },
+  split: { separator: { type: 'string' } },
+  first: {},
+  last: {},
+  slice: { start: { type: 'integer' }, end: { type: 'integer' } },
+  filter: { include: { type: 'array' }, exclude: { type: 'array' } },
+  map: { key: { type: 'string' } },
+  pluck: { key: { type: 'string' } },
+  trim: {},
+  lowercase: {},
+  uppercase: {},
+  regex: { pattern: { type: 'string' }, flags: { type: 'string' } },
+  replace: { pattern: { type: 'string' }, flags: { type: 'string' }, replacement: { type: 'string' } },
+  parseNumber: {},
+  parseJson: {},
+  jsonPath: { path: { type: 'string' } },
+  compact: {}
+};
+
+// Options of a single `transform` may sit directly on the extractor
+const SINGLE_TRANSFORM_OPTIONS = Object.assign({}, ...Object.values(TRANSFORM_OPTIONS));
+
+const RECORD_FIELD_TYPES = ['text', 'attribute', 'html', 'exists'];
+
+// A `records` field: a selector relative to the container, or the full form
+const RECORD_FIELD_SCHEMA = {
+  anyOf: [
+    { type: 'string', minLength: 1 },
+    {
+      type: 'object',
+      properties: {
+        selector: { type: 'string', minLength: 1, description: 'Relative to the container (default: the container itself)' },
+        xpath: { type: 'boolean' },
+        type: { type: 'string', enum: RECORD_FIELD_TYPES },
+        attribute: { type: 'string', minLength: 1 },
+        transform: { type: 'string', enum: Object.keys(TRANSFORM_OPTIONS) },
+        transforms: { type: 'array', items: { $ref: '#/definitions/transform' } },
+        ...SINGLE_TRANSFORM_OPTIONS
+      },
+      additionalProperties: false
+    }
+  ]
+};
+
+const EXTRACTOR_OPTIONS = {
+  text: { selector: SCHEMA_SELECTOR, xpath: { type: 'boolean' } },
+  innerText: { selector: SCHEMA_SELECTOR, xpath: { type: 'boolean' } },
+  attribute: { selector: SCHEMA_SELECTOR, xpath: { type: 'boolean' }, attribute: { type: 'string', minLength: 1 } },
+  value: { selector: SCHEMA_SELECTOR, xpath: { type: 'boolean' } },
+  options: { selector: SCHEMA_SELECTOR, xpath: { type: 'boolean' } },
+  html: { selector: SCHEMA_SELECTOR, xpath: { type: 'boolean' } },
+  outerHtml: { selector: SCHEMA_SELECTOR, xpath: { type: 'boolean' } },
+  count: { selector: SCHEMA_SELECTOR, xpath: { type: 'boolean' } },
+  exists: { selector: SCHEMA_SELECTOR, xpath: { type: 'boolean' } },
+  url: {},
+  title: {},
+  xpath: { selector: { type: 'string', minLength: 1, description: 'XPath expression' } },
+  evaluate: { script: { type: 'string', minLength: 1, description: 'JavaScript evaluated in the page' } },
+  json: { path: { type: 'string', description: 'JSONPath into the response' } },
+  jsonFromScript: { selector: SCHEMA_SELECTOR, path: { type: 'string', description: 'JSONPath into the script JSON' } },
+  response: {
+    urlPattern: { type: 'string', minLength: 1, description: 'Regular expression matched against response URLs' },
+    method: { type: 'string', minLength: 1, description: 'HTTP method of the request (default any)' },
+    status: {
+      description: 'Accepted status code(s) (default any 2xx)',
+      anyOf: [{ type: 'integer' }, { type: 'array', items: { type: 'integer' }, minItems: 1 }]
+    },
+    match: { type: 'string', enum: ['first', 'last', 'all'], description: 'Which matching response to use (default last)' },
+    timeout: { type: 'integer', minimum: 0, description: 'How long to wait when nothing matched yet (ms, default 10000)' },
+    path: { type: 'string', description: 'JSONPath into the response body' }
+  },
+  records: {
+    selector: { ...SCHEMA_SELECTOR, description: 'Container element, one record per match' },
+    xpath: { type: 'boolean' },
+    fields: { type: 'object', minProperties: 1, additionalProperties: RECORD_FIELD_SCHEMA }
+  },
+  screenshot: {
+    selector: SCHEMA_SELECTOR,
+    xpath: { type: 'boolean' },
+    path: { type: 'string', description: 'Where to save the screenshot' },
+    fullPage: { type: 'boolean' },
+    pixelThreshold: { type: 'number', minimum: 0, maximum: 1, description: 'Per-pixel color tolerance (0-1)' },
+    ignoreRegions: {
+      type: 'array',
+      description: 'Selectors or {x, y, width, height} rectangles excluded from visual diffs',
+      items: {
+        anyOf: [
+          { type: 'string' },
+          {
+            type: 'object',
+            required: ['width', 'height'],
+            properties: { x: { type: 'number' }, y: { type: 'number' }, width: { type: 'number' }, height: { type: 'number' } },
+            additionalProperties: false
+          }
+        ]
+      }
+    }
+  }
+};
+
+// Extractor types that can't work without a selector
+const EXTRACTORS_REQUIRING_SELECTOR = ['text', 'innerText', 'attribute', 'value', 'options', 'html', 'outerHtml', 'count', 'exists', 'xpath', 'records'];
+
+const CONDITION_OPTIONS = {
+  exists: { selector: SCHEMA_SELECTOR, checkFrames: { type: 'boolean' }, xpath: { type: 'boolean' } },
+  notExists: { selector: SCHEMA_SELECTOR, checkFrames: { type: 'boolean' }, xpath: { type: 'boolean' } },
+  textContains: { selector: SCHEMA_SELECTOR, value: { type: 'string' } },
+  variable: { name: { type: 'string' } },
+  evaluate: { script: { type: 'string' } }
+};
+
+const CONDITION_REQUIRED = {
+  exists: ['selector'],
+  notExists: ['selector'],
+  textContains: ['selector', 'value'],
+  variable: ['name'],
+  evaluate: ['script']
+};
+
+const WAIT_STATES = { type: 'string', enum: ['attached', 'detached', 'visible', 'hidden'] };
+const WAIT_UNTIL = { type: 'string', enum: ['load', 'domcontentloaded', 'networkidle', 'commit'] };
+
+const ACTION_OPTIONS = {
+  wait: { ms: { type: 'number', minimum: 0 } },
+  waitForSelector: { selector: SCHEMA_SELECTOR, timeout: SCHEMA_TIMEOUT, state: WAIT_STATES },
+  waitForXPath: { selector: SCHEMA_SELECTOR, timeout: SCHEMA_TIMEOUT, state: WAIT_STATES },
+  waitForNavigation: { timeout: SCHEMA_TIMEOUT, waitUntil: WAIT_UNTIL },
+  click: { selector: SCHEMA_SELECTOR, xpath: { type: 'boolean' }, checkFrames: { type: 'boolean' } },
+  type: { selector: SCHEMA_SELECTOR, value: { type: 'string' } },
+  typeSlowly: { selector: SCHEMA_SELECTOR, value: { type: 'string' } },
+  pressKey: { key: { type: 'string', minLength: 1 } },
+  select: { selector: SCHEMA_SELECTOR, value: { type: ['string', 'array'] } },
+  hover: { selector: SCHEMA_SELECTOR },
+  scroll: { selector: SCHEMA_SELECTOR, x: { type: 'number' }, y: { type: 'number' } },
+  evaluate: { script: { type: 'string', minLength: 1 } },
+  screenshot: { path: { type: 'string' }, fullPage: { type: 'boolean' } },
+  setVariable: { name: { type: 'string', minLength: 1 }, value: {} },
+  login: {
+    usernameSelector: SCHEMA_SELECTOR,
+    username: { type: 'string' },
+    passwordSelector: SCHEMA_SELECTOR,
+    password: { type: 'string' },
+    submitSelector: SCHEMA_SELECTOR
+  }
+};
+
+const ACTION_REQUIRED = {
+  waitForSelector: ['selector'],
+  waitForXPath: ['selector'],
+  click: ['selector'],
+  type: ['selector', 'value'],
+  typeSlowly: ['selector', 'value'],
+  pressKey: ['key'],
+  select: ['selector', 'value'],
+  hover: ['selector'],
+  evaluate: ['script'],
+  setVariable: ['name']
+};
+
+// Options shared by all actions
+const ACTION_COMMON = {
+  type: { type: 'string' },
+  if: { $ref: '#/definitions/condition' },
+  optional: { type: 'boolean', description: 'Continue if the action fails' },
+  delay: { type: 'number', minimum: 0, description: 'Wait after the action (ms); typing delay for typeSlowly' }
+};
+
+const CHANNEL_OPTIONS = {
+  telegram: { token: { type: 'string' }, chatId: { type: ['string', 'number'] } },
+  ntfy: { url: { type: 'string' }, priority: { type: ['string', 'number'] }, tags: { type: 'string' } },
+  webhook: { url: { type: 'string' }, headers: { type: 'object', additionalProperties: { type: 'string' } } },
+  email: {
+    host: { type: 'string' },
+    port: { type: 'integer' },
+    secure: { type: 'boolean' },
+    starttls: { type: 'boolean' },
+    allowPlaintextAuth: { type: 'boolean', description: 'Allow AUTH over a connection without TLS' },
+    username: { type: 'string' },
+    password: { type: 'string' },
+    from: { type: 'string' },
+    to: { type: ['string', 'array'] },
+    cc: { type: ['string', 'array'] },
+    bcc: { type: ['string', 'array'] },
+    subject: { type: 'string' },
+    rejectUnauthorized: { type: 'boolean' },
+    timeout: SCHEMA_TIMEOUT
+  },
+  slack: { url: { type: 'string' }, token: { type: 'string' }, channel: { type: 'string' } },
+  discord: { url: { type: 'string' }, username: { type: 'string' }, avatarUrl: { type: 'string' } },
+  teams: { url: { type: 'string' } },
+  matrix: { homeserver: { type: 'string' }, accessToken: { type: 'string' }, roomId: { type: 'string' } }
+};
+
+const PAGINATION_OPTIONS = {
+  next: { nextSelector: SCHEMA_SELECTOR, xpath: { type: 'boolean' } },
+  url: {
+    urlTemplate: { type: 'string', minLength: 1, description: 'URL of further pages, with a {{page}} placeholder' },
+    start: { type: 'integer', minimum: 0, description: 'Page number of the watch url (default 1)' }
+  },
+  scroll: {}
+};
+
+const PAGINATION_REQUIRED = {
+  next: ['nextSelector'],
+  url: ['urlTemplate']
+};
+
+const PAGINATION_COMMON = {
+  type: { type: 'string' },
+  maxPages: { type: 'integer', minimum: 1, description: 'Pages (or scroll steps) to load, including the first (default 10)' },
+  waitForSelector: SCHEMA_SELECTOR,
+  waitMs: { type: 'number', minimum: 0, description: 'Wait after loading each page (ms)' }
+};
+
+/**
+ * Object schema for one `type` of a discriminated union: the allowed options
+ * are the common ones plus the type's own
+ */
+function schemaVariant(type, common, options, required = []) {
+  return {
+    if: { properties: { type: { const: type } }, required: ['type'] },
+    then: {
+      properties: { ...SCHEMA_ANNOTATIONS, ...common, ...options },
+      patternProperties: SCHEMA_PASSTHROUGH,
+      additionalProperties: false,
+      required
+    }
+  };
+}
+
+const WATCH_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'mon-itor watch config',
+  type: 'object',
+  required: ['url', 'extractors'],
+  properties: {
+    ...SCHEMA_ANNOTATIONS,
+    id: { type: 'string', minLength: 1, description: 'Unique identifier (default: md5 of url)' },
+    template: { type: 'boolean', description: 'Only a template for other configs (see extends), never run itself' },
+    extends: { type: 'string', minLength: 1, description: 'Id of a template config to inherit from (deep merge)' },
+    targets: {
+      description: 'Expand into one watch per target: a list of variable sets, or a CSV file relative to CONFIG_DIR',
+      anyOf: [
+        { type: 'string', minLength: 1 },
+        { type: 'array', minItems: 1, items: { type: 'object', additionalProperties: { type: ['string', 'number', 'boolean'] } } }
+      ]
+    },
+    name: { type: 'string', description: 'Human-readable name' },
+    url: { type: 'string', minLength: 1, description: 'URL to monitor' },
+    enabled: { type: 'boolean', default: true },
+    engine: { type: 'string', enum: ['browser', 'http'], default: 'browser' },
+    interval: { type: 'number', minimum: 1000, description: 'Check interval in ms' },
+    schedule: { type: 'string', description: 'Cron expression (instead of interval)' },
+    scheduleTimezone: { type: 'string', description: 'IANA timezone for the cron schedule' },
+    overlap: { type: 'string', enum: ['skip', 'coalesce'], default: 'skip' },
+    method: { type: 'string', description: 'HTTP method (http engine)' },
+    body: { type: ['string', 'object', 'array'], description: 'Request body (http engine)' },
+    timeout: SCHEMA_TIMEOUT,
+    retries: { type: 'integer', minimum: 1 },
+    waitUntil: WAIT_UNTIL,
+    waitForSelector: SCHEMA_SELECTOR,
+    waitMs: { type: 'number', minimum: 0 },
+    userAgent: { type: 'string' },
+    viewport: {
+      type: 'object',
+      required: ['width', 'height'],
+      properties: { width: { type: 'integer', minimum: 1 }, height: { type: 'integer', minimum: 1 } },
+      additionalProperties: false
+    },
+    locale: { type: 'string' },
+    timezone: { type: 'string', description: 'Browser timezone' },
+    headers: { type: 'object', additionalProperties: { type: 'string' } },
+    cookies: { type: 'array', items: { type: 'object', required: ['name', 'value'] } },
+    proxy: {
+      anyOf: [
+        { type: 'string' },
+        {
+          type: 'object',
+          required: ['server'],
+          properties: { server: { type: 'string' }, username: { type: 'string' }, password: { type: 'string' }, bypass: { type: 'string' } },
+          additionalProperties: false
+        }
+      ]
+    },
+    blockResources: {
+      type: 'array',
+      items: {
+        type: 'string',
+        enum: ['document', 'stylesheet', 'image', 'media', 'font', 'script', 'texttrack', 'xhr', 'fetch',
+          'eventsource', 'websocket', 'manifest', 'other']
+      }
+    },
+    screenshotOnError: { type: 'boolean', default: true },
+    persistSession: { type: 'boolean', default: false },
+    actions: { type: 'array', items: { $ref: '#/definitions/action' } },
+    extractors: { type: 'array', minItems: 1, items: { $ref: '#/definitions/extractor' } },
+    pagination: {
+      type: 'object',
+      required: ['type'],
+      properties: { type: { type: 'string', enum: Object.keys(PAGINATION_OPTIONS) } },
+      allOf: Object.entries(PAGINATION_OPTIONS).map(([type, options]) =>
+        schemaVariant(type, PAGINATION_COMMON, options, PAGINATION_REQUIRED[type]))
+    },
+    comparator: { type: 'string', enum: COMPARATOR_TYPES, default: 'hash' },
+    ...COMPARATOR_OPTIONS,
+    customComparator: { type: 'string', description: 'Function body for the custom comparator (gets current, previous)' },
+    notifications: { type: 'array', items: { $ref: '#/definitions/channel' } },
+    notifyOnError: { type: 'boolean', default: true },
+    errorThreshold: { type: 'integer', minimum: 1 },
+    messageTemplate: { type: 'string' },
+    enablePreview: { type: 'boolean', description: 'Telegram link previews' },
+    priority: { type: ['string', 'number'], description: 'ntfy priority' },
+    tags: { type: 'string', description: 'ntfy tags' },
+    historyRetentionDays: { type: 'number', minimum: 0 },
+    historyMaxEntries: { type: 'integer', minimum: 1 }
+  },
+  patternProperties: SCHEMA_PASSTHROUGH,
+  additionalProperties: false,
+  definitions: {
+    condition: {
+      type: 'object',
+      required: ['type'],
+      properties: { type: { type: 'string', enum: Object.keys(CONDITION_OPTIONS) } },
+      allOf: Object.entries(CONDITION_OPTIONS).map(([type, options]) =>
+        schemaVariant(type, { type: { type: 'string' } }, options, CONDITION_REQUIRED[type]))
+    },
+    action: {
+      type: 'object',
+      required: ['type'],
+      properties: { type: { type: 'string', enum: Object.keys(ACTION_OPTIONS) } },
+      allOf: Object.entries(ACTION_OPTIONS).map(([type, options]) =>
+        schemaVariant(type, ACTION_COMMON, options, ACTION_REQUIRED[type]))
+    },
+    transform: {
+      anyOf: [
+        { type: 'string', enum: Object.keys(TRANSFORM_OPTIONS) },
+        {
+          type: 'object',
+          required: ['type'],
+          properties: { type: { type: 'string', enum: Object.keys(TRANSFORM_OPTIONS) } },
+          allOf: Object.entries(TRANSFORM_OPTIONS).map(([type, options]) =>
+            schemaVariant(type, { type: { type: 'string' } }, options))
+        }
+      ]
+    },
+    extractor: {
+      type: 'object',
+      required: ['name', 'type'],
+      properties: {
+        name: { type: 'string', minLength: 1 },
+        type: { type: 'string', enum: Object.keys(EXTRACTOR_OPTIONS) }
+      },
+      allOf: Object.entries(EXTRACTOR_OPTIONS).map(([type, options]) =>
+        schemaVariant(type, {
+          name: { type: 'string' },
+          type: { type: 'string' },
+          checkFrames: { type: 'boolean', description: 'Also search iframes when nothing is found' },
+          default: { description: 'Value used when extraction fails' },
+          comparator: { type: 'string', enum: COMPARATOR_TYPES },
+          ...COMPARATOR_OPTIONS,
+          metric: { type: 'boolean', description: 'Expose the numeric value as a Prometheus gauge' },
+          transform: { type: 'string', enum: Object.keys(TRANSFORM_OPTIONS) },
+          transforms: { type: 'array', items: { $ref: '#/definitions/transform' } },
+          filter: { type: 'object', properties: TRANSFORM_OPTIONS.filter, additionalProperties: false },
+          ...SINGLE_TRANSFORM_OPTIONS
+        }, options, [
+          ...(EXTRACTORS_REQUIRING_SELECTOR.includes(type) ? ['selector'] : []),
+          ...(type === 'records' ? ['fields'] : []),
+          ...(type === 'response' ? ['urlPattern'] : [])
+        ]))
+    },
+    channel: {
+      type: 'object',
+      properties: {
+        ...SCHEMA_ANNOTATIONS,
+        type: { type: 'string', enum: CHANNEL_TYPES },
+        attachments: { type: 'boolean', description: 'Send screenshots/diff images (default true)' },
+        ...Object.assign({}, ...Object.values(CHANNEL_OPTIONS)),
+        // Nested form: { "telegram": { "token": "...", "chatId": "..." } }
+        ...Object.fromEntries(Object.entries(CHANNEL_OPTIONS).map(([type, options]) =>
+          [type, { type: 'object', properties: options, additionalProperties: false }]))
+      },
+      patternProperties: SCHEMA_PASSTHROUGH,
+      additionalProperties: false,
+      anyOf: [{ required: ['type'] }, ...CHANNEL_TYPES.map(type => ({ required: [type] }))]
+    }
+  }
+};
+
+// Templates and configs using extends/targets are only complete once expanded
+const PARTIAL_WATCH_SCHEMA = { ...WATCH_SCHEMA, required: [] };
+
+function levenshtein(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let prev = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+      prev = current;
+    }
+  }
+  return row[b.length];
+}
+
+/**
+ * Closest candidate to a misspelled key or value, if any is close enough
+ */
+function didYouMean(value, candidates) {
+  const input = String(value).toLowerCase();
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of candidates) {
+    const distance = levenshtein(input, String(candidate).toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  const maxDistance = Math.max(1, Math.floor(input.length / 3));
+  if (bestDistance <= maxDistance) return best;
+
+  // Abbreviations: "user" -> "username"
+  if (input.length >= 3) {
+    return candidates.find(candidate => String(candidate).toLowerCase().startsWith(input)) || null;
+  }
+  return null;
+}
+
+function schemaType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function schemaTypeMatches(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return schemaType(value) === type;
+}
+
+function resolveSchemaRef(schema) {
+  if (!schema.$ref) return schema;
+  const name = schema.$ref.replace('#/definitions/', '');
+  return WATCH_SCHEMA.definitions[name];
+}
+
+/**
+ * Validate a value against the subset of JSON Schema used by WATCH_SCHEMA.
+ * Errors are "path: message" strings, e.g. `extractors[0].comparater: unknown
+ * option (did you mean "comparator"?)`.
+ */
+function validateSchema(value, schema, at = '', errors = []) {
+  schema = resolveSchemaRef(schema);
+  const label = at || '(root)';
+  const suggest = (input, candidates) => {
+    const match = didYouMean(input, candidates);
+    return match !== null ? ` (did you mean "${match}"?)` : '';
+  };
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(t => schemaTypeMatches(value, t))) {
+      errors.push(`${label}: expected ${types.join(' or ')}, got ${schemaType(value)}`);
+      return errors;
+    }
+  }
+
+  if (schema.const !== undefined && value !== schema.const) {
+    errors.push(`${label}: must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${label}: unknown value ${JSON.stringify(value)}${suggest(value, schema.enum)}`);
+  }
+
+  if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push(`${label}: must not be empty`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${label}: must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${label}: must be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${label}: must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => validateSchema(item, schema.items, `${at}[${i}]`, errors));
+    }
+  }
+
+  if (schemaType(value) === 'object') {
+    const child = key => at ? `${at}.${key}` : key;
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        const type = value.type ? ` for type "${value.type}"` : '';
+        errors.push(`${child(key)}: required${type}`);
+      }
+    }
+
+    const properties = schema.properties || {};
+    for (const [key, propValue] of Object.entries(value)) {
+      if (properties[key]) {
+        validateSchema(propValue, properties[key], child(key), errors);
+      } else if (Object.keys(schema.patternProperties || {}).some(pattern => new RegExp(pattern).test(key))) {
+        continue;
+      } else if (schema.additionalProperties === false) {
+        const type = value.type ? ` for type "${value.type}"` : '';
+        errors.push(`${child(key)}: unknown option${type}${suggest(key, Object.keys(properties))}`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        validateSchema(propValue, schema.additionalProperties, child(key), errors);
+      }
+    }
+  }
+
+  for (const sub of schema.allOf || []) {
+    if (sub.if) {
+      if (validateSchema(value, sub.if, at, []).length === 0 && sub.then) {
+        validateSchema(value, sub.then, at, errors);
+      }
+    } else {
+      validateSchema(value, sub, at, errors);
+    }
+  }
+
+  if (schema.anyOf) {
+    // Report the errors of the closest branch: matching type first, then fewest errors
+    const attempts = schema.anyOf.map(sub => {
+      const resolved = resolveSchemaRef(sub);
+      const typeMatches = !resolved.type || [].concat(resolved.type).some(t => schemaTypeMatches(value, t));
+      return { typeMatches, errors: validateSchema(value, resolved, at, []) };
+    });
+    if (!attempts.some(a => a.errors.length === 0)) {
+      attempts.sort((a, b) => (b.typeMatches - a.typeMatches) || (a.errors.length - b.errors.length));
+      errors.push(...attempts[0].errors);
+    }
+  }
+
+  return errors;
+}
+
+// ============================================================================
+// SECRETS
+// ============================================================================
+
+const SECRET_REF_PATTERN = /\$\{(secret|env):([A-Za-z0-9_.-]+)\}/g;
+// Shorter values would match ordinary words and markup
+const SECRET_MIN_REDACT_LENGTH = 8;
+const knownSecrets = new Set(); // Every value resolved so far, for redaction
+const shortSecretWarnings = new Set(); // References already warned about
+
+/**
+ * Remember a resolved value for redaction. Values too short to redact safely
+ * are left alone, with a warning (once per reference) since they will show up
+ * in logs, results and notifications as they are.
+ */
+function rememberSecret(secret, ref) {
+  if (secret.length >= SECRET_MIN_REDACT_LENGTH) {
+    knownSecrets.add(secret);
+  } else if (secret.length > 0 && !shortSecretWarnings.has(ref)) {
+    shortSecretWarnings.add(ref);
+    console.warn(`WARNING: ${ref} is shorter than ${SECRET_MIN_REDACT_LENGTH} characters and will NOT be redacted from logs, results or notifications`);
+  }
+}
+
+/**
+ * Secrets file: a JSON object, or KEY=VALUE lines (.env style)
+ */
+function readSecretsFile() {
+  if (!SECRETS_FILE || !fs.existsSync(SECRETS_FILE)) return {};
+
+  const content = fs.readFileSync(SECRETS_FILE, 'utf8');
+  if (content.trim().startsWith('{')) {
+    return JSON.parse(content);
+  }
+  const secrets = {};
+  for (const line of content.split('\n')) {
+    const match = line.match(/^\s*([^#=\s][^=]*?)\s*=\s*(.*?)\s*$/);
+    if (match) {
+      secrets[match[1]] = match[2].replace(/^(["'])(.*)\1$/, '$2');
+    }
+  }
+  return secrets;
+}
+
+/**
+ * ${env:NAME} reads the environment. ${secret:name} tries the secrets file,
+ * then a Docker secret in SECRETS_DIR, then an environment variable.
+ */
+function lookupSecret(kind, name, secretsFile) {
+  if (kind === 'env') return process.env[name];
+
+  if (Object.prototype.hasOwnProperty.call(secretsFile, name)) {
+    return String(secretsFile[name]);
+  }
+  const dockerSecret = path.join(SECRETS_DIR, name);
+  if (fs.existsSync(dockerSecret)) {
+    return fs.readFileSync(dockerSecret, 'utf8').replace(/\r?\n$/, '');
+  }
+  return process.env[name];
+}
+
+/**
+ * Copy of a config (or part of one) with secret references replaced by their
+ * values. Configs stay unresolved everywhere else, so values only exist for
+ * the duration of a check or a notification delivery. Resolved values are
+ * remembered for redaction unless `redact` is false.
+ */
+function resolveSecrets(value, { redact = true } = {}) {
+  let secretsFile = null;
+
+  const resolve = (item) => {
+    if (typeof item === 'string') {
+      if (!item.includes('${')) return item;
+      return item.replace(SECRET_REF_PATTERN, (ref, kind, name) => {
+        secretsFile = secretsFile || readSecretsFile();
+        const secret = lookupSecret(kind, name, secretsFile);
+        if (secret === undefined) {
+          throw new Error(`Unresolved ${kind} reference ${ref}`);
+        }
+        if (redact) rememberSecret(secret, ref);
+        return secret;
+      });
+    }
+    if (Array.isArray(item)) return item.map(resolve);
+    if (item && typeof item === 'object') {
+      return Object.fromEntries(Object.entries(item).map(([key, child]) => [key, resolve(child)]));
+    }
+    return item;
+  };
+
+  return resolve(value);
+}
+
+/**
+ * Replace every secret value resolved so far with ***, including its URL- and
+ * JSON-escaped forms
+ */
+function redactSecrets(text) {
+  if (typeof text !== 'string' || knownSecrets.size === 0) return text;
+
+  let redacted = text;
+  for (const secret of [...knownSecrets].sort((a, b) => b.length - a.length)) {
+    for (const form of new Set([secret, encodeURIComponent(secret), JSON.stringify(secret).slice(1, -1)])) {
+      redacted = redacted.split(form).join('***');
+    }
+  }
+  return redacted;
+}
+
+/**
+ * Copy of extracted data, changes or a result with redactSecrets applied to
+ * every string in it
+ */
+function redactValue(value) {
+  if (typeof value === 'string') return redactSecrets(value);
+  if (Array.isArray(value)) return value.map(redactValue);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, child]) => [key, redactValue(child)]));
+  }
+  return value;
+}
+
+/**
+ * Route console output through redactSecrets, whichever code path prints it
+ */
+function installLogRedaction() {
+  for (const method of ['log', 'warn', 'error']) {
+    const original = console[method].bind(console);
+    console[method] = (...args) => original(...args.map(arg =>
+      redactSecrets(arg instanceof Error ? arg.stack || arg.message : arg)
+    ));
+  }
+}
+
 // ============================================================================
 // ELEMENT/PAGE HELPERS
 // ============================================================================
@@ -255,17 +1286,25 @@ async function elementExists(page, selector, checkFrames = true, isXPath = false
 // ACTIONS
 // ============================================================================
 
-async function executeActions(page, actions, context = {}) {
+/**
+ * Run actions in order. When `trace` is an array, each action's outcome and
+ * duration is appended to it (used by dry runs).
+ */
+async function executeActions(page, actions, context = {}, trace = null) {
   for (const action of actions) {
+    const step = { type: action.type, target: action.selector || action.key || action.name || null };
+
     if (action.if) {
       const conditionMet = await evaluateCondition(page, action.if, context);
       if (!conditionMet) {
         console.log(`    Skipping action (condition not met): ${action.type}`);
+        trace?.push({ ...step, status: 'skipped', durationMs: 0 });
         continue;
       }
     }
 
     console.log(`  Action: ${action.type} ${action.selector || action.value || ''}`);
+    const startedAt = Date.now();
 
     try {
       switch (action.type) {
@@ -362,9 +1401,11 @@ async function executeActions(page, actions, context = {}) {
           console.log(`    Unknown action type: ${action.type}`);
       }
     } catch (e) {
+      step.error = e.message;
       if (action.optional) {
         console.log(`    Optional action failed (continuing): ${e.message}`);
       } else {
+        trace?.push({ ...step, status: 'failed', durationMs: Date.now() - startedAt });
         throw e;
       }
     }
@@ -372,6 +1413,8 @@ async function executeActions(page, actions, context = {}) {
     if (action.delay) {
       await page.waitForTimeout(action.delay);
     }
+
+    trace?.push({ ...step, status: step.error ? 'failed (optional)' : 'ok', durationMs: Date.now() - startedAt });
   }
 
   return context;
@@ -570,12 +1613,17 @@ function applyTransforms(data, extractor) {
 // EXTRACTORS
 // ============================================================================
 
-async function extractData(page, extractors, pageContent = null) {
+/**
+ * Run all extractors. When `trace` is an object, each extractor's raw
+ * (pre-transform) value, error and duration is recorded in it by name.
+ */
+async function extractData(page, extractors, pageContent = null, trace = null) {
   const results = {};
 
   for (const extractor of extractors) {
     const { name, type, selector, attribute, checkFrames, xpath } = extractor;
     const actualSelector = xpath ? `xpath=${selector}` : selector;
+    const startedAt = Date.now();
 
     let data = null;
 
@@ -678,12 +1726,24 @@ async function extractData(page, extractors, pageContent = null) {
           }
           break;
 
+        case 'records':
+          data = await extractRecords(page, actualSelector, extractor.fields);
+          break;
+
+        case 'response':
+          data = await readCapturedResponses(page, extractor);
+          break;
+
         case 'screenshot':
           const screenshotPath = extractor.path || path.join(SCREENSHOT_DIR, `${name}-${Date.now()}.png`);
+          // Selector ignore regions are painted over so they never show up in visual diffs
+          const mask = (extractor.ignoreRegions || [])
+            .filter(region => typeof region === 'string')
+            .map(region => page.locator(region));
           if (selector) {
-            await page.locator(actualSelector).screenshot({ path: screenshotPath });
+            await page.locator(actualSelector).screenshot({ path: screenshotPath, mask, maskColor: '#FF00FF' });
           } else {
-            await page.screenshot({ path: screenshotPath, fullPage: extractor.fullPage });
+            await page.screenshot({ path: screenshotPath, fullPage: extractor.fullPage, mask, maskColor: '#FF00FF' });
           }
           data = screenshotPath;
           break;
@@ -702,43 +1762,172 @@ async function extractData(page, extractors, pageContent = null) {
               data = await frame.$$eval(actualSelector, els => els.map(el => el.innerHTML));
             } else if (type === 'attribute') {
               data = await frame.$$eval(actualSelector, (els, attr) => els.map(el => el.getAttribute(attr)), attribute);
+            } else if (type === 'records') {
+              data = await extractRecords(frame, actualSelector, extractor.fields);
             }
             if (data && (!Array.isArray(data) || data.length > 0)) break;
           } catch (e) {}
         }
       }
 
+      if (trace) trace[name] = { raw: data };
+
       // Apply transforms
       data = applyTransforms(data, extractor);
 
     } catch (e) {
       console.log(`    Error extracting ${name}: ${e.message}`);
+      if (trace) trace[name] = { ...trace[name], error: e.message };
       if (extractor.default !== undefined) {
         data = extractor.default;
       }
     }
 
     results[name] = data;
+    if (trace) trace[name] = { ...trace[name], value: data, durationMs: Date.now() - startedAt };
   }
 
   return results;
 }
 
-// ============================================================================
-// COMPARATORS
-// ============================================================================
-
-function detectChanges(current, previous, config, extractors = []) {
-  const changes = [];
-  const globalComparator = config.comparator || 'hash';
-
-  for (const [name, value] of Object.entries(current)) {
-    const prevValue = previous?.[name];
-
-    // Get per-extractor comparator if defined
-    const extractor = extractors.find(e => e.name === name);
-    const comparator = extractor?.comparator || globalComparator;
-    const threshold = extractor?.threshold || config.threshold || 0;
+/**
+ * Build one object per element matching the container selector. Field
+ * selectors are relative to the container (the container itself when
+ * omitted) and read the first match; field transforms run afterwards,
+ * outside the page.
+ */
+async function extractRecords(target, selector, fields = {}) {
+  const specs = Object.entries(fields).map(([name, field]) => {
+    const spec = typeof field === 'string' ? { selector: field } : field;
+    return { name, selector: spec.selector, xpath: spec.xpath, type: spec.type || 'text', attribute: spec.attribute };
+  });
+
+  const records = await target.$$eval(selector, (els, specs) => els.map(el => {
+    const record = {};
+    for (const spec of specs) {
+      let node = el;
+      if (spec.selector) {
+        // 9 = XPathResult.FIRST_ORDERED_NODE_TYPE
+        node = spec.xpath
+          ? el.ownerDocument.evaluate(spec.selector, el, null, 9, null).singleNodeValue
+          : el.querySelector(spec.selector);
+      }
+      switch (spec.type) {
+        case 'exists':
+          record[spec.name] = !!node;
+          break;
+        case 'attribute':
+          record[spec.name] = node ? node.getAttribute(spec.attribute) : null;
+          break;
+        case 'html':
+          record[spec.name] = node ? node.innerHTML : null;
+          break;
+        default:
+          record[spec.name] = node ? node.textContent.trim() : null;
+      }
+    }
+    return record;
+  }), specs);
+
+  return records.map(record => {
+    for (const [name, field] of Object.entries(fields)) {
+      if (typeof field === 'object') record[name] = applyTransforms(record[name], field);
+    }
+    return record;
+  });
+}
+
+// Responses recorded per page and response extractor, see captureResponses()
+const capturedResponses = new WeakMap();
+
+function matchesResponse(response, extractor, pattern) {
+  if (!pattern.test(response.url())) return false;
+  if (extractor.method && response.request().method() !== extractor.method.toUpperCase()) return false;
+  const statuses = [].concat(extractor.status ?? []);
+  return statuses.length > 0 ? statuses.includes(response.status()) : response.ok();
+}
+
+/**
+ * Record the responses matching each `response` extractor from here on, so
+ * XHR/fetch payloads loaded during navigation and actions can be extracted
+ * later. Bodies are read as they arrive, before navigation discards them.
+ */
+function captureResponses(page, extractors = []) {
+  const matchers = extractors
+    .filter(extractor => extractor.type === 'response')
+    .map(extractor => ({ extractor, pattern: new RegExp(extractor.urlPattern) }));
+  if (matchers.length === 0) return;
+
+  const captures = new Map(matchers.map(({ extractor }) => [extractor.name, []]));
+  capturedResponses.set(page, captures);
+
+  page.on('response', response => {
+    for (const { extractor, pattern } of matchers) {
+      if (!matchesResponse(response, extractor, pattern)) continue;
+      captures.get(extractor.name).push({
+        url: response.url(),
+        body: response.text().catch(e => {
+          console.log(`    Could not read response ${response.url()}: ${e.message}`);
+          return null;
+        })
+      });
+    }
+  });
+}
+
+/**
+ * Parsed bodies of the responses a `response` extractor captured since it
+ * last ran (pagination extracts each page's own responses). Waits up to
+ * `timeout` when nothing matched yet.
+ */
+async function readCapturedResponses(page, extractor) {
+  if (page.isHttpPage) {
+    throw new Error('The response extractor is not supported with engine "http"');
+  }
+
+  const captures = capturedResponses.get(page)?.get(extractor.name) || [];
+  if (captures.length === 0) {
+    const pattern = new RegExp(extractor.urlPattern);
+    await page.waitForResponse(response => matchesResponse(response, extractor, pattern), {
+      timeout: extractor.timeout ?? 10000
+    }).catch(() => {});
+  }
+
+  const selected = captures.splice(0);
+  if (selected.length === 0) {
+    throw new Error(`No response matched ${extractor.urlPattern}`);
+  }
+
+  const match = extractor.match || 'last';
+  const entries = match === 'all' ? selected : [match === 'first' ? selected[0] : selected[selected.length - 1]];
+
+  const bodies = await Promise.all(entries.map(async ({ body }) => {
+    const text = await body;
+    let value = text;
+    try {
+      value = JSON.parse(text);
+    } catch (e) {}
+    return extractor.path && value && typeof value === 'object' ? jsonPath(value, extractor.path) : value;
+  }));
+
+  return match === 'all' ? bodies : bodies[0];
+}
+
+// ============================================================================
+// COMPARATORS
+// ============================================================================
+
+function detectChanges(current, previous, config, extractors = [], options = {}) {
+  const changes = [];
+  const globalComparator = config.comparator || 'hash';
+
+  for (const [name, value] of Object.entries(current)) {
+    const prevValue = previous?.[name];
+
+    // Get per-extractor comparator if defined
+    const extractor = extractors.find(e => e.name === name);
+    const comparator = extractor?.comparator || globalComparator;
+    const threshold = extractor?.threshold || config.threshold || 0;
 
     let changed = false;
     let details = null;
@@ -796,6 +1985,20 @@ function detectChanges(current, previous, config, extractors = []) {
         }
         break;
 
+      case 'keyed': {
+        // Records matched by key field: added, removed and modified (per field)
+        if (Array.isArray(value) || Array.isArray(prevValue)) {
+          const records = compareRecords(value, prevValue, {
+            keyField: extractor?.keyField || config.keyField,
+            ignoreFields: extractor?.ignoreFields || config.ignoreFields || []
+          });
+          const notifyOn = extractor?.notifyOn || config.notifyOn || ['added', 'removed', 'modified'];
+          changed = notifyOn.some(kind => records[kind].length > 0);
+          details = records;
+        }
+        break;
+      }
+
       case 'numeric':
         const numCurrent = parseFloat(value) || 0;
         const numPrev = parseFloat(prevValue) || 0;
@@ -817,6 +2020,28 @@ function detectChanges(current, previous, config, extractors = []) {
         details = { previous: decPrev, current: decCurrent, diff: decCurrent - decPrev };
         break;
 
+      case 'textDiff':
+        // Line/word diff of text content
+        const textResult = compareText(value, prevValue, {
+          ignoreWhitespace: extractor?.ignoreWhitespace ?? config.ignoreWhitespace,
+          ignoreCase: extractor?.ignoreCase ?? config.ignoreCase,
+          ignorePatterns: extractor?.ignorePatterns || config.ignorePatterns,
+          minChangedChars: extractor?.minChangedChars || config.minChangedChars,
+          contextLines: extractor?.contextLines ?? config.contextLines
+        });
+        changed = textResult.changed;
+        details = textResult.details;
+        break;
+
+      case 'visual':
+        // Pixel diff of screenshot against the stored baseline image
+        if (typeof value === 'string') {
+          const visual = compareVisual(getWatchId(config), name, value, { ...extractor, threshold, dryRun: options.dryRun });
+          changed = visual.changed;
+          details = visual.details;
+        }
+        break;
+
       case 'none':
         // Never triggers - useful for extractors used only in templates
         changed = false;
@@ -863,565 +2088,3890 @@ function detectChanges(current, previous, config, extractors = []) {
   return changes;
 }
 
-// ============================================================================
-// NOTIFICATIONS
-// ============================================================================
-
-function isThrottled(watchId) {
-  const lastNotification = notificationTimestamps.get(watchId);
-  if (!lastNotification) return false;
-  return Date.now() - lastNotification < NOTIFICATION_THROTTLE_MS;
+/**
+ * Key values of a record for the keyed comparator (keyField is a field name,
+ * or a list of them for composite keys). Non-object items are their own key.
+ */
+function recordKey(record, keyField) {
+  if (record === null || typeof record !== 'object') return [record];
+  return (Array.isArray(keyField) ? keyField : [keyField]).map(field => record[field]);
 }
 
-function formatDiff(change) {
-  if (!change.previous && change.previous !== 0) return '';
-
-  if (change.details?.diff !== undefined) {
-    const sign = change.details.diff >= 0 ? '+' : '';
-    return ` (${sign}${change.details.diff})`;
-  }
-
-  if (change.details?.added?.length || change.details?.removed?.length) {
-    const parts = [];
-    if (change.details.added?.length) parts.push(`+${change.details.added.length}`);
-    if (change.details.removed?.length) parts.push(`-${change.details.removed.length}`);
-    return ` (${parts.join(', ')})`;
+/**
+ * Match two lists of records by key. Returns the added and removed records,
+ * and for records present in both the fields whose values differ:
+ * { added, removed, modified: [{ key, previous, current, fields: { name: { previous, current } } }] }
+ */
+function compareRecords(current, previous, options = {}) {
+  const { keyField, ignoreFields = [] } = options;
+
+  // Records without a key value are matched as a whole
+  const byKey = (records) => {
+    const map = new Map();
+    for (const record of Array.isArray(records) ? records : []) {
+      const key = recordKey(record, keyField);
+      const id = JSON.stringify(key.every(value => value === undefined || value === null) ? record : key);
+      if (!map.has(id)) map.set(id, { key, record });
+    }
+    return map;
+  };
+  const currentRecords = byKey(current);
+  const previousRecords = byKey(previous);
+
+  const added = [...currentRecords].filter(([id]) => !previousRecords.has(id)).map(([, entry]) => entry.record);
+  const removed = [...previousRecords].filter(([id]) => !currentRecords.has(id)).map(([, entry]) => entry.record);
+  const modified = [];
+
+  for (const [id, { key, record }] of currentRecords) {
+    const before = previousRecords.get(id)?.record;
+    if (!before || typeof before !== 'object' || typeof record !== 'object') continue;
+
+    const fields = {};
+    for (const field of new Set([...Object.keys(before), ...Object.keys(record)])) {
+      if (ignoreFields.includes(field)) continue;
+      if (JSON.stringify(before[field]) !== JSON.stringify(record[field])) {
+        fields[field] = { previous: before[field], current: record[field] };
+      }
+    }
+    if (Object.keys(fields).length > 0) {
+      modified.push({ key: key.join(' / '), previous: before, current: record, fields });
+    }
   }
 
-  return '';
+  return { added, removed, modified };
 }
 
-function formatMessage(watchConfig, changes, data, isError = false, errorMsg = '') {
-  if (isError) {
-    return `⚠️ <b>${watchConfig.name || 'Watch'} - ERROR</b>\n\n` +
-           `Failed ${errorCounts.get(watchConfig.id || watchConfig._file) || 1} times\n` +
-           `Error: ${errorMsg}\n\n` +
-           `🔗 <a href="${watchConfig.url}">View page</a>`;
-  }
-
-  if (watchConfig.messageTemplate) {
-    let msg = watchConfig.messageTemplate;
-    msg = msg.replace(/\{\{name\}\}/g, watchConfig.name || 'Watch');
-    msg = msg.replace(/\{\{url\}\}/g, watchConfig.url);
-    msg = msg.replace(/\{\{changes\}\}/g, JSON.stringify(changes, null, 2));
-    msg = msg.replace(/\{\{data\}\}/g, JSON.stringify(data, null, 2));
-    msg = msg.replace(/\{\{timestamp\}\}/g, new Date().toISOString());
-
-    const allAdded = changes.flatMap(c => c.details?.added || []);
-    const allRemoved = changes.flatMap(c => c.details?.removed || []);
-
-    const formatItem = item => typeof item === 'object' ? (item.text || item.value || JSON.stringify(item)) : item;
-
-    msg = msg.replace(/\{\{added\}\}/g, allAdded.map(formatItem).join(', ') || 'none');
-    msg = msg.replace(/\{\{removed\}\}/g, allRemoved.map(formatItem).join(', ') || 'none');
-    msg = msg.replace(/\{\{addedList\}\}/g, allAdded.map(i => `• ${formatItem(i)}`).join('\n') || 'none');
-    msg = msg.replace(/\{\{removedList\}\}/g, allRemoved.map(i => `• ${formatItem(i)}`).join('\n') || 'none');
-    msg = msg.replace(/\{\{addedCount\}\}/g, String(allAdded.length));
-    msg = msg.replace(/\{\{removedCount\}\}/g, String(allRemoved.length));
-
-    // {{diff.fieldname}} - show change with diff
-    msg = msg.replace(/\{\{diff\.(\w+)\}\}/g, (match, field) => {
-      const change = changes.find(c => c.name === field);
-      if (!change) return '';
-      const curr = typeof change.current === 'object' ? JSON.stringify(change.current) : change.current;
-      const prev = typeof change.previous === 'object' ? JSON.stringify(change.previous) : change.previous;
-      if (prev === undefined || prev === null) return String(curr);
-      return `${prev} → ${curr}${formatDiff(change)}`;
-    });
+// ============================================================================
+// TEXT DIFF
+// ============================================================================
 
-    msg = msg.replace(/\{\{current\.(\w+)\}\}/g, (match, field) => {
-      const val = data[field];
-      if (val === undefined || val === null) return '';
-      if (Array.isArray(val)) return val.map(v => typeof v === 'object' ? (v.text || v.value) : v).join(', ');
-      return typeof val === 'object' ? JSON.stringify(val) : String(val);
-    });
+const TEXT_DIFF_MAX_EDITS = 2000;
+// Stored diff text (unified lines, highlighted words) per change
+const TEXT_DIFF_MAX_CHARS = 20000;
 
-    msg = msg.replace(/\{\{previous\.(\w+)\}\}/g, (match, field) => {
-      const change = changes.find(c => c.name === field);
-      if (!change) return '';
-      const val = change.previous;
-      if (val === undefined || val === null) return '';
-      if (Array.isArray(val)) return val.map(v => typeof v === 'object' ? (v.text || v.value) : v).join(', ');
-      return typeof val === 'object' ? JSON.stringify(val) : String(val);
-    });
+/**
+ * Myers diff of two arrays of comparable keys.
+ * Returns ranges: [{ type: 'equal'|'removed'|'added', aStart, aEnd, bStart, bEnd }]
+ */
+function diffSequences(a, b) {
+  // Trim common prefix/suffix, the usual case for page text is a small edit
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  let suffix = 0;
+  while (suffix < a.length - prefix && suffix < b.length - prefix &&
+         a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+
+  const A = a.slice(prefix, a.length - suffix);
+  const B = b.slice(prefix, b.length - suffix);
+  const N = A.length;
+  const M = B.length;
+
+  const edits = [];
+  const push = (type, aStart, aEnd, bStart, bEnd) => {
+    if (aEnd === aStart && bEnd === bStart) return;
+    const last = edits[edits.length - 1];
+    if (last && last.type === type && last.aEnd === aStart && last.bEnd === bStart) {
+      last.aEnd = aEnd;
+      last.bEnd = bEnd;
+    } else {
+      edits.push({ type, aStart, aEnd, bStart, bEnd });
+    }
+  };
 
-    return msg;
+  // V holds the furthest x on each diagonal k (at k + offset) and is updated
+  // in place; a snapshot of diagonals -d..d after each step d is kept for
+  // the backtrack
+  const trace = [];
+  const maxD = Math.min(N + M, TEXT_DIFF_MAX_EDITS);
+  const offset = maxD + 1;
+  const v = new Int32Array(2 * offset + 1);
+  let found = -1;
+
+  for (let d = 0; d <= maxD && found === -1; d++) {
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) ? v[offset + k + 1] : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < N && y < M && A[x] === B[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= N && y >= M) {
+        found = d;
+        break;
+      }
+    }
+    trace.push(v.slice(offset - d, offset + d + 1));
   }
 
-  // Default format with diff
-  let msg = `🔔 <b>${watchConfig.name || 'Web Monitor'}</b>\n\n`;
-
-  for (const change of changes) {
-    msg += `<b>${change.name}</b>:`;
-
-    if (change.details?.added?.length) {
-      msg += `\n  Added: ${change.details.added.map(i => typeof i === 'object' ? (i.text || i.value) : i).join(', ')}`;
-    }
-    if (change.details?.removed?.length) {
-      msg += `\n  Removed: ${change.details.removed.map(i => typeof i === 'object' ? (i.text || i.value) : i).join(', ')}`;
-    }
-    if (!change.details?.added && !change.details?.removed) {
-      const curr = typeof change.current === 'object' ? JSON.stringify(change.current) : change.current;
-      const prev = typeof change.previous === 'object' ? JSON.stringify(change.previous) : change.previous;
-      if (prev !== undefined && prev !== null) {
-        msg += ` ${prev} → ${curr}${formatDiff(change)}`;
+  const middle = [];
+  if (found === -1) {
+    // Too many edits to diff precisely: report a full replacement
+    middle.push({ type: 'removed', aStart: 0, aEnd: N, bStart: 0, bEnd: 0 });
+    middle.push({ type: 'added', aStart: N, aEnd: N, bStart: 0, bEnd: M });
+  } else {
+    let x = N;
+    let y = M;
+    for (let d = found; d > 0; d--) {
+      const prev = trace[d - 1];
+      const at = (diagonal) => prev[diagonal + d - 1];
+      const k = x - y;
+      const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+      const prevX = at(prevK);
+      const prevY = prevX - prevK;
+      const snakeX = prevK === k + 1 ? prevX : prevX + 1;
+      const snakeY = snakeX - k;
+
+      if (x > snakeX) middle.unshift({ type: 'equal', aStart: snakeX, aEnd: x, bStart: snakeY, bEnd: y });
+      if (prevK === k + 1) {
+        middle.unshift({ type: 'added', aStart: prevX, aEnd: prevX, bStart: prevY, bEnd: prevY + 1 });
       } else {
-        msg += ` ${curr}`;
+        middle.unshift({ type: 'removed', aStart: prevX, aEnd: prevX + 1, bStart: prevY, bEnd: prevY });
       }
+      x = prevX;
+      y = prevY;
     }
-    msg += '\n';
+    if (x > 0) middle.unshift({ type: 'equal', aStart: 0, aEnd: x, bStart: 0, bEnd: y });
   }
 
-  msg += `\n🔗 <a href="${watchConfig.url}">View page</a>`;
+  push('equal', 0, prefix, 0, prefix);
+  for (const e of middle) {
+    push(e.type, e.aStart + prefix, e.aEnd + prefix, e.bStart + prefix, e.bEnd + prefix);
+  }
+  push('equal', a.length - suffix, a.length, b.length - suffix, b.length);
 
-  return msg;
+  return edits;
 }
 
-async function sendToChannel(channel, message, watchConfig) {
-  const type = channel.type || (channel.telegram ? 'telegram' : channel.ntfy ? 'ntfy' : channel.webhook ? 'webhook' : null);
+function textDiffToString(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.map(v => typeof v === 'object' ? JSON.stringify(v) : String(v)).join('\n');
+  return typeof value === 'object' ? JSON.stringify(value, null, 2) : String(value);
+}
 
-  switch (type) {
-    case 'telegram':
-      const tgToken = channel.token || channel.telegram?.token || TELEGRAM_BOT_TOKEN;
-      const tgChat = channel.chatId || channel.telegram?.chatId || TELEGRAM_CHAT_ID;
-      if (!tgToken || !tgChat) return;
+/**
+ * Line- and word-level diff of two text values.
+ * Options: ignoreWhitespace, ignoreCase, ignorePatterns, minChangedChars, contextLines
+ */
+function compareText(current, previous, options = {}) {
+  const patterns = (options.ignorePatterns || []).map(p => new RegExp(p, 'g'));
+  const normalize = (str) => {
+    let result = str;
+    for (const pattern of patterns) result = result.replace(pattern, '');
+    if (options.ignoreWhitespace) result = result.replace(/\s+/g, ' ').trim();
+    if (options.ignoreCase) result = result.toLowerCase();
+    return result;
+  };
 
-      try {
-        const response = await fetch(`https://api.telegram.org/bot${tgToken}/sendMessage`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            chat_id: tgChat,
-            text: message,
-            parse_mode: 'HTML',
-            disable_web_page_preview: !watchConfig.enablePreview
-          })
-        });
-        if (response.ok) {
-          console.log('  Telegram notification sent');
-          return true;
-        } else {
-          console.log('  Telegram error:', await response.text());
-        }
-      } catch (e) {
-        console.log('  Telegram error:', e.message);
+  const prevLines = textDiffToString(previous).split('\n');
+  const currLines = textDiffToString(current).split('\n');
+  const lineEdits = diffSequences(prevLines.map(normalize), currLines.map(normalize));
+
+  // Word-level diff inside each changed block, for highlighting
+  const words = [];
+  const unified = [];
+  let charsAdded = 0;
+  let charsRemoved = 0;
+  let linesAdded = 0;
+  let linesRemoved = 0;
+  const context = options.contextLines ?? 2;
+
+  for (let i = 0; i < lineEdits.length; i++) {
+    const edit = lineEdits[i];
+
+    if (edit.type === 'equal') {
+      const lines = prevLines.slice(edit.aStart, edit.aEnd);
+      const head = i > 0 ? lines.slice(0, context) : [];
+      const tail = i < lineEdits.length - 1 ? lines.slice(-context) : [];
+      if (head.length + tail.length >= lines.length) {
+        unified.push(...lines.map(l => `  ${l}`));
+        words.push({ type: 'equal', text: lines.join('\n') + '\n' });
+      } else {
+        unified.push(...head.map(l => `  ${l}`));
+        if (head.length || tail.length) unified.push('  …');
+        unified.push(...tail.map(l => `  ${l}`));
+        if (head.length) words.push({ type: 'equal', text: head.join('\n') + '\n' });
+        words.push({ type: 'skip', text: '…\n' });
+        if (tail.length) words.push({ type: 'equal', text: tail.join('\n') + '\n' });
       }
-      break;
+      continue;
+    }
 
-    case 'ntfy':
-      const ntfyUrl = channel.url || channel.ntfy?.url || NTFY_URL;
-      if (!ntfyUrl) return;
+    // Pair a removed block with a following added block for word-level diff
+    const removed = edit.type === 'removed' ? prevLines.slice(edit.aStart, edit.aEnd) : [];
+    const nextEdit = lineEdits[i + 1];
+    let added = edit.type === 'added' ? currLines.slice(edit.bStart, edit.bEnd) : [];
+    if (edit.type === 'removed' && nextEdit?.type === 'added') {
+      added = currLines.slice(nextEdit.bStart, nextEdit.bEnd);
+      i++;
+    }
 
-      try {
-        await fetch(ntfyUrl, {
-          method: 'POST',
-          headers: {
-            'Title': watchConfig.name || 'Web Monitor Alert',
-            'Priority': channel.priority || watchConfig.priority || 'default',
-            'Tags': channel.tags || watchConfig.tags || 'loudspeaker'
-          },
-          body: message.replace(/<[^>]*>/g, '')
-        });
-        console.log('  ntfy notification sent');
-        return true;
-      } catch (e) {
-        console.log('  ntfy error:', e.message);
-      }
-      break;
+    linesRemoved += removed.length;
+    linesAdded += added.length;
+    unified.push(...removed.map(l => `- ${l}`), ...added.map(l => `+ ${l}`));
+
+    const prevTokens = removed.length ? (removed.join('\n') + '\n').split(/(\s+)/).filter(t => t) : [];
+    const currTokens = added.length ? (added.join('\n') + '\n').split(/(\s+)/).filter(t => t) : [];
+    for (const wordEdit of diffSequences(prevTokens.map(normalize), currTokens.map(normalize))) {
+      const text = wordEdit.type === 'added'
+        ? currTokens.slice(wordEdit.bStart, wordEdit.bEnd).join('')
+        : prevTokens.slice(wordEdit.aStart, wordEdit.aEnd).join('');
+      if (wordEdit.type === 'added' && text.trim()) charsAdded += text.replace(/\s+/g, '').length;
+      if (wordEdit.type === 'removed' && text.trim()) charsRemoved += text.replace(/\s+/g, '').length;
+      words.push({ type: wordEdit.type, text });
+    }
+  }
 
-    case 'webhook':
-      const webhookUrl = channel.url || channel.webhook?.url || WEBHOOK_URL;
-      if (!webhookUrl) return;
+  const changedChars = charsAdded + charsRemoved;
+  return {
+    changed: changedChars > 0 && changedChars >= (options.minChangedChars || 1),
+    details: {
+      linesAdded,
+      linesRemoved,
+      charsAdded,
+      charsRemoved,
+      ...truncateTextDiff(unified, words)
+    }
+  };
+}
 
-      try {
-        await fetch(webhookUrl, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json', ...(channel.headers || {}) },
-          body: JSON.stringify({
-            watch: watchConfig.name,
-            id: watchConfig.id || watchConfig._file,
-            url: watchConfig.url,
-            message,
-            timestamp: new Date().toISOString()
-          })
-        });
-        console.log('  Webhook notification sent');
-        return true;
-      } catch (e) {
-        console.log('  Webhook error:', e.message);
-      }
+/**
+ * Cut the unified lines and highlighted words of a large diff (a page
+ * rewrite) to TEXT_DIFF_MAX_CHARS each, since they are kept in history and
+ * memory. The line and char counts still cover the whole diff.
+ */
+function truncateTextDiff(unified, words) {
+  let length = 0;
+  const lines = [];
+  for (const line of unified) {
+    length += line.length + 1;
+    if (length > TEXT_DIFF_MAX_CHARS) {
+      lines.push(`  … ${unified.length - lines.length} more lines`);
       break;
+    }
+    lines.push(line);
   }
-  return false;
-}
 
-async function notify(watchConfig, changes, data, isError = false, errorMsg = '') {
-  const watchId = watchConfig.id || watchConfig._file;
-
-  if (!isError && isThrottled(watchId)) {
-    console.log('  Notification throttled (too soon after last notification)');
-    return;
+  length = 0;
+  const kept = [];
+  for (const word of words) {
+    if (length + word.text.length > TEXT_DIFF_MAX_CHARS) {
+      kept.push({ ...word, text: word.text.slice(0, TEXT_DIFF_MAX_CHARS - length) }, { type: 'skip', text: '…\n' });
+      break;
+    }
+    length += word.text.length;
+    kept.push(word);
   }
 
-  const message = formatMessage(watchConfig, changes, data, isError, errorMsg);
-  let sent = false;
+  return { unified: lines.join('\n'), words: kept };
+}
 
-  // Per-watch notification channels
-  if (watchConfig.notifications && Array.isArray(watchConfig.notifications)) {
-    for (const channel of watchConfig.notifications) {
-      if (await sendToChannel(channel, message, watchConfig)) {
-        sent = true;
-      }
-    }
-  } else {
-    // Global notification channels
-    if (TELEGRAM_BOT_TOKEN && TELEGRAM_CHAT_ID) {
-      if (await sendToChannel({ type: 'telegram' }, message, watchConfig)) sent = true;
-    }
-    if (NTFY_URL) {
-      if (await sendToChannel({ type: 'ntfy' }, message, watchConfig)) sent = true;
-    }
-    if (WEBHOOK_URL) {
-      if (await sendToChannel({ type: 'webhook' }, message, watchConfig)) sent = true;
-    }
-  }
+function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
 
-  if (sent && !isError) {
-    notificationTimestamps.set(watchId, Date.now());
-  }
+/**
+ * Render a text diff for notifications: changed lines only, prefixed +/-
+ */
+function formatTextDiff(change) {
+  const lines = (change.details?.unified || '').split('\n').filter(l => l.startsWith('+ ') || l.startsWith('- '));
+  return escapeHtml(lines.join('\n'));
+}
+
+/**
+ * Render a word-level text diff as HTML with added/removed highlighting
+ */
+function renderTextDiffHtml(words = []) {
+  return words.map(w => {
+    const text = escapeHtml(w.text);
+    if (w.type === 'added') return `<ins>${text}</ins>`;
+    if (w.type === 'removed') return `<del>${text}</del>`;
+    if (w.type === 'skip') return `<span class="skip">${text}</span>`;
+    return text;
+  }).join('');
 }
 
 // ============================================================================
-// STATE MANAGEMENT
+// VISUAL DIFF
 // ============================================================================
 
-function loadState(watchId) {
-  const statePath = path.join(STATE_DIR, `${watchId}.json`);
-  if (fs.existsSync(statePath)) {
-    try {
-      return JSON.parse(fs.readFileSync(statePath, 'utf8'));
-    } catch (e) {
-      return null;
-    }
-  }
+function visualDir(watchId) {
+  return watchPath(VISUAL_DIR, watchId);
+}
+
+/**
+ * Paint rectangle ignore regions black so they never count as differences
+ */
+function maskRegions(png, regions = []) {
+  for (const region of regions) {
+    if (typeof region !== 'object') continue;
+    const x0 = Math.max(0, Math.floor(region.x || 0));
+    const y0 = Math.max(0, Math.floor(region.y || 0));
+    const x1 = Math.min(png.width, x0 + Math.ceil(region.width || 0));
+    const y1 = Math.min(png.height, y0 + Math.ceil(region.height || 0));
+    for (let y = y0; y < y1; y++) {
+      for (let x = x0; x < x1; x++) {
+        const idx = (y * png.width + x) * 4;
+        png.data[idx] = 0;
+        png.data[idx + 1] = 0;
+        png.data[idx + 2] = 0;
+        png.data[idx + 3] = 255;
+      }
+    }
+  }
+}
+
+/**
+ * Compare a screenshot with the baseline for this watch/extractor.
+ * The first screenshot becomes the baseline; on change a highlighted diff
+ * image is written and the current screenshot becomes the new baseline.
+ */
+function compareVisual(watchId, name, currentPath, options = {}) {
+  const dir = visualDir(watchId);
+  const baselinePath = path.join(dir, `${name}-baseline.png`);
+  // Dry runs compare against the baseline but never write images
+  const write = !options.dryRun;
+
+  try {
+    if (!fs.existsSync(baselinePath)) {
+      if (write) {
+        fs.mkdirSync(dir, { recursive: true });
+        fs.copyFileSync(currentPath, baselinePath);
+      }
+      return { changed: false, details: { baseline: true } };
+    }
+
+    const baseline = PNG.sync.read(fs.readFileSync(baselinePath));
+    const current = PNG.sync.read(fs.readFileSync(currentPath));
+
+    if (baseline.width !== current.width || baseline.height !== current.height) {
+      if (write) fs.copyFileSync(currentPath, baselinePath);
+      return {
+        changed: true,
+        details: {
+          diffPercent: 100,
+          reason: `size changed from ${baseline.width}x${baseline.height} to ${current.width}x${current.height}`,
+          image: currentPath
+        }
+      };
+    }
+
+    maskRegions(baseline, options.ignoreRegions);
+    maskRegions(current, options.ignoreRegions);
+
+    const { width, height } = current;
+    const diff = new PNG({ width, height });
+    const diffPixels = pixelmatch(baseline.data, current.data, diff.data, width, height, {
+      threshold: options.pixelThreshold ?? 0.1
+    });
+    const diffPercent = Math.round(diffPixels / (width * height) * 10000) / 100;
+    const changed = diffPixels > 0 && diffPercent > (options.threshold || 0);
+
+    if (!changed) {
+      return { changed: false, details: { diffPercent, diffPixels } };
+    }
+    if (!write) {
+      return { changed: true, details: { diffPercent, diffPixels, image: currentPath } };
+    }
+
+    const previousBaselinePath = path.join(dir, `${name}-previous.png`);
+    fs.copyFileSync(baselinePath, previousBaselinePath);
+    fs.copyFileSync(currentPath, baselinePath);
+
+    const diffImage = path.join(dir, `${name}-diff-${Date.now()}.png`);
+    fs.writeFileSync(diffImage, PNG.sync.write(diff));
+    pruneVisualDiffs(watchId, name);
+
+    return {
+      changed: true,
+      details: { diffPercent, diffPixels, diffImage, previousImage: previousBaselinePath, image: currentPath }
+    };
+  } catch (e) {
+    console.log(`    Visual comparison error (${name}): ${e.message}`);
+    return { changed: false, details: { error: e.message } };
+  }
+}
+
+function listVisualDiffs(watchId, name = null) {
+  const dir = visualDir(watchId);
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(f => /-diff-\d+\.png$/.test(f) && (!name || f.startsWith(`${name}-diff-`)))
+    .sort((a, b) => parseInt(b.match(/-diff-(\d+)/)[1]) - parseInt(a.match(/-diff-(\d+)/)[1]));
+}
+
+function pruneVisualDiffs(watchId, name) {
+  for (const file of listVisualDiffs(watchId, name).slice(VISUAL_DIFF_KEEP)) {
+    fs.unlinkSync(path.join(visualDir(watchId), file));
+  }
+}
+
+// ============================================================================
+// EMAIL (SMTP)
+// ============================================================================
+
+/**
+ * Minimal SMTP client over a socket: reads (multi-line) replies and sends commands
+ */
+function createSmtpConnection(socket, timeout) {
+  let buffer = '';
+  let lines = [];
+  let failure = null;
+  const replies = [];
+  const waiters = [];
+
+  const fail = (error) => {
+    failure = error;
+    while (waiters.length) waiters.shift().reject(error);
+  };
+
+  const onData = (chunk) => {
+    buffer += chunk.toString('utf8');
+    let idx;
+    while ((idx = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, idx).replace(/\r$/, '');
+      buffer = buffer.slice(idx + 1);
+      lines.push(line);
+      // "250-..." continues a reply, "250 ..." ends it
+      if (/^\d{3}(?!-)/.test(line)) {
+        const reply = { code: parseInt(line.substring(0, 3)), lines: lines.map(l => l.substring(4)) };
+        lines = [];
+        if (waiters.length) waiters.shift().resolve(reply);
+        else replies.push(reply);
+      }
+    }
+  };
+
+  const attach = (sock) => {
+    sock.setTimeout(timeout);
+    sock.on('data', onData);
+    sock.on('error', fail);
+    sock.on('timeout', () => {
+      fail(new Error('SMTP timeout'));
+      sock.destroy();
+    });
+    sock.on('close', () => fail(new Error('SMTP connection closed')));
+  };
+
+  const conn = {
+    socket,
+
+    read() {
+      if (replies.length) return Promise.resolve(replies.shift());
+      if (failure) return Promise.reject(failure);
+      return new Promise((resolve, reject) => waiters.push({ resolve, reject }));
+    },
+
+    async command(line, expected, logLine = line) {
+      if (line !== null) conn.socket.write(line + '\r\n');
+      const reply = await conn.read();
+      if (!expected.includes(reply.code)) {
+        throw new Error(`SMTP ${logLine ? `"${logLine}" ` : ''}failed: ${reply.code} ${reply.lines.join(' ')}`);
+      }
+      return reply;
+    },
+
+    async upgrade(tlsOptions) {
+      conn.socket.removeListener('data', onData);
+      conn.socket.removeAllListeners('close');
+      const secureSocket = tls.connect({ ...tlsOptions, socket: conn.socket });
+      await new Promise((resolve, reject) => {
+        secureSocket.once('secureConnect', resolve);
+        secureSocket.once('error', reject);
+      });
+      conn.socket = secureSocket;
+      attach(secureSocket);
+    },
+
+    close() {
+      conn.socket.removeAllListeners('close');
+      conn.socket.end();
+    }
+  };
+
+  attach(socket);
+  return conn;
+}
+
+function extractAddress(address) {
+  const match = String(address).match(/<([^>]+)>/);
+  return (match ? match[1] : address).trim();
+}
+
+function toAddressList(value) {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : String(value).split(',')).map(a => a.trim()).filter(a => a);
+}
+
+/**
+ * RFC 2047 encoded-word for non-ASCII header values
+ */
+function encodeMimeHeader(value) {
+  if (!/[^\x20-\x7e]/.test(value)) return value;
+  const words = [];
+  let current = '';
+  for (const char of Array.from(value)) {
+    if (Buffer.byteLength(current + char) > 45) {
+      words.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  if (current) words.push(current);
+  return words.map(w => `=?UTF-8?B?${Buffer.from(w).toString('base64')}?=`).join('\r\n ');
+}
+
+function encodeAddressHeader(addresses) {
+  return addresses.map(address => {
+    const match = address.match(/^\s*(.+?)\s*<([^>]+)>\s*$/);
+    return match ? `${encodeMimeHeader(match[1].replace(/^"|"$/g, ''))} <${match[2]}>` : address;
+  }).join(', ');
+}
+
+function base64Lines(content) {
+  return Buffer.from(content).toString('base64').replace(/.{1,76}/g, '$&\r\n');
+}
+
+/**
+ * Build a multipart email: text/plain + text/html alternatives, plus attachments
+ */
+function buildMimeMessage({ from, to, cc, subject, text, html, attachments = [] }) {
+  const boundary = (name) => `----=_mon-itor_${name}_${crypto.randomBytes(12).toString('hex')}`;
+  const mixed = boundary('mixed');
+  const alternative = boundary('alt');
+  const domain = extractAddress(from).split('@')[1] || os.hostname();
+
+  const headers = [
+    `From: ${encodeAddressHeader([from])}`,
+    `To: ${encodeAddressHeader(to)}`,
+    ...(cc.length ? [`Cc: ${encodeAddressHeader(cc)}`] : []),
+    `Subject: ${encodeMimeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0',
+    `Content-Type: multipart/mixed; boundary="${mixed}"`
+  ];
+
+  let body = `--${mixed}\r\n` +
+    `Content-Type: multipart/alternative; boundary="${alternative}"\r\n\r\n` +
+    `--${alternative}\r\n` +
+    'Content-Type: text/plain; charset=utf-8\r\n' +
+    'Content-Transfer-Encoding: base64\r\n\r\n' +
+    base64Lines(text) +
+    `--${alternative}\r\n` +
+    'Content-Type: text/html; charset=utf-8\r\n' +
+    'Content-Transfer-Encoding: base64\r\n\r\n' +
+    base64Lines(html) +
+    `--${alternative}--\r\n`;
+
+  for (const attachment of attachments) {
+    body += `--${mixed}\r\n` +
+      `Content-Type: ${attachment.contentType}; name="${attachment.filename}"\r\n` +
+      `Content-Disposition: attachment; filename="${attachment.filename}"\r\n` +
+      'Content-Transfer-Encoding: base64\r\n\r\n' +
+      base64Lines(fs.readFileSync(attachment.path));
+  }
+  body += `--${mixed}--\r\n`;
+
+  return headers.join('\r\n') + '\r\n\r\n' + body;
+}
+
+/**
+ * Send an email over SMTP (implicit TLS, STARTTLS or plain), with optional AUTH
+ */
+async function sendEmail(options, mail) {
+  const secure = options.secure ?? false;
+  const port = options.port || (secure ? 465 : 587);
+  const timeout = options.timeout || 30000;
+  const tlsOptions = { host: options.host, servername: options.host, rejectUnauthorized: options.rejectUnauthorized !== false };
+
+  const socket = await new Promise((resolve, reject) => {
+    const sock = secure
+      ? tls.connect({ ...tlsOptions, port }, () => resolve(sock))
+      : net.connect({ host: options.host, port }, () => resolve(sock));
+    sock.once('error', reject);
+  });
+
+  const conn = createSmtpConnection(socket, timeout);
+  try {
+    await conn.command(null, [220], 'greeting');
+    const clientName = options.clientName || os.hostname();
+    let ehlo = await conn.command(`EHLO ${clientName}`, [250]);
+
+    let encrypted = secure;
+    const supportsStartTls = ehlo.lines.some(l => /^STARTTLS/i.test(l));
+    if (!secure && options.starttls !== false && supportsStartTls) {
+      await conn.command('STARTTLS', [220]);
+      await conn.upgrade(tlsOptions);
+      encrypted = true;
+      ehlo = await conn.command(`EHLO ${clientName}`, [250]);
+    } else if (!secure && options.starttls === true) {
+      throw new Error('SMTP server does not support STARTTLS');
+    }
+
+    if (options.username) {
+      // A missing STARTTLS may mean it was stripped on the way: never send
+      // credentials in the clear unless told to
+      if (!encrypted && !options.allowPlaintextAuth) {
+        throw new Error('Refusing to send SMTP credentials over an unencrypted connection (no STARTTLS); set allowPlaintextAuth to allow it');
+      }
+      const authLine = ehlo.lines.find(l => /^AUTH[ =]/i.test(l)) || '';
+      if (/\bPLAIN\b/i.test(authLine) || !/\bLOGIN\b/i.test(authLine)) {
+        const token = Buffer.from(`\0${options.username}\0${options.password || ''}`).toString('base64');
+        await conn.command(`AUTH PLAIN ${token}`, [235], 'AUTH PLAIN');
+      } else {
+        await conn.command('AUTH LOGIN', [334]);
+        await conn.command(Buffer.from(options.username).toString('base64'), [334], 'AUTH LOGIN username');
+        await conn.command(Buffer.from(options.password || '').toString('base64'), [235], 'AUTH LOGIN password');
+      }
+    }
+
+    await conn.command(`MAIL FROM:<${extractAddress(mail.from)}>`, [250]);
+    for (const recipient of [...mail.to, ...mail.cc, ...mail.bcc]) {
+      await conn.command(`RCPT TO:<${extractAddress(recipient)}>`, [250, 251]);
+    }
+
+    await conn.command('DATA', [354]);
+    // Dot-stuffing: lines starting with "." get an extra "."
+    const data = buildMimeMessage(mail).replace(/\r\n\./g, '\r\n..');
+    await conn.command(`${data}\r\n.`, [250], 'DATA');
+    await conn.command('QUIT', [221]).catch(() => {});
+  } finally {
+    conn.close();
+  }
+}
+
+/**
+ * Convert a notification message (Telegram-style HTML) into email bodies
+ */
+function messageToEmailBodies(message) {
+  const html = '<!DOCTYPE html><html><body style="font-family: -apple-system, BlinkMacSystemFont, \'Segoe UI\', Roboto, sans-serif;">' +
+    `<div style="white-space: pre-wrap;">${message}</div></body></html>`;
+  const text = message
+    .replace(/<a [^>]*href="([^"]*)"[^>]*>([^<]*)<\/a>/g, '$2: $1')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&amp;/g, '&');
+  return { html, text };
+}
+
+function formatEmailSubject(channel, watchConfig, changes, isError) {
+  const name = watchConfig.name || 'Web Monitor';
+  if (isError) return `⚠️ ${name} - ERROR`;
+  if (!channel.subject) return `🔔 ${name}: ${changes.map(c => c.name).join(', ') || 'changes detected'}`;
+  return channel.subject
+    .replace(/\{\{name\}\}/g, name)
+    .replace(/\{\{url\}\}/g, watchConfig.url)
+    .replace(/\{\{changeCount\}\}/g, String(changes.length))
+    .replace(/\{\{changedFields\}\}/g, changes.map(c => c.name).join(', '))
+    .replace(/\{\{timestamp\}\}/g, new Date().toISOString());
+}
+
+// ============================================================================
+// CHAT PLATFORMS (Slack, Discord, Teams, Matrix)
+// ============================================================================
+
+function decodeHtmlEntities(str) {
+  return str
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&amp;/g, '&');
+}
+
+function truncate(str, max) {
+  return str.length > max ? str.substring(0, max - 1) + '…' : str;
+}
+
+/**
+ * Plain-text description of a single change, shared by the rich chat formats
+ */
+function describeChange(change) {
+  const formatItem = item => typeof item === 'object' ? (item.text || item.value || JSON.stringify(item)) : String(item);
+  const lines = [];
+
+  if (change.comparator === 'textDiff') {
+    lines.push(decodeHtmlEntities(formatTextDiff(change)));
+  } else if (change.comparator === 'visual') {
+    lines.push(change.details?.reason || `${change.details?.diffPercent}% of pixels changed`);
+  } else if (change.details?.added || change.details?.removed) {
+    if (change.details.added?.length) lines.push(`Added: ${change.details.added.map(formatItem).join(', ')}`);
+    if (change.details.removed?.length) lines.push(`Removed: ${change.details.removed.map(formatItem).join(', ')}`);
+    if (change.details.modified?.length) lines.push(`Modified: ${change.details.modified.map(formatModified).join('; ')}`);
+  } else {
+    const curr = typeof change.current === 'object' ? JSON.stringify(change.current) : String(change.current);
+    const prev = typeof change.previous === 'object' ? JSON.stringify(change.previous) : change.previous;
+    lines.push(prev !== undefined && prev !== null ? `${prev} → ${curr}${formatDiff(change)}` : curr);
+  }
+
+  return lines.join('\n') || '(changed)';
+}
+
+/**
+ * Platform-neutral notification content. A custom messageTemplate is kept as the
+ * description (converted per platform); otherwise each change becomes a field.
+ */
+function buildNotificationSummary(watchConfig, message, meta = {}) {
+  const name = watchConfig.name || 'Web Monitor';
+
+  if (meta.isError) {
+    return {
+      title: `⚠️ ${name} - ERROR`,
+      url: watchConfig.url,
+      isError: true,
+      description: `Failed ${errorCounts.get(getWatchId(watchConfig)) || 1} times\nError: ${meta.errorMsg || ''}`,
+      fields: []
+    };
+  }
+
+  if (watchConfig.messageTemplate) {
+    return { title: `🔔 ${name}`, url: watchConfig.url, isError: false, html: message, fields: [] };
+  }
+
+  return {
+    title: `🔔 ${name}`,
+    url: watchConfig.url,
+    isError: false,
+    // Outbox entries written before notificationMeta() still carry full changes
+    fields: (meta.changes || []).map(change => ({ name: change.name, value: change.description ?? describeChange(change) }))
+  };
+}
+
+/**
+ * What sending needs to know about a notification, as stored with each outbox
+ * delivery: change names (email subjects) and plain-text descriptions (chat
+ * fields), redacted. Full values and diff payloads are left out.
+ */
+function notificationMeta(changes, isError = false, errorMsg = '') {
+  return {
+    isError,
+    errorMsg: redactSecrets(errorMsg),
+    changes: changes.map(change => ({ name: change.name, description: redactSecrets(describeChange(change)) }))
+  };
+}
+
+/**
+ * Convert Telegram-style HTML (from messageTemplate) to a markdown flavor
+ */
+function htmlToMarkdown(html, flavor) {
+  const slack = flavor === 'slack';
+  const text = html
+    .replace(/<(b|strong)>([\s\S]*?)<\/\1>/g, slack ? '*$2*' : '**$2**')
+    .replace(/<(i|em)>([\s\S]*?)<\/\1>/g, '_$2_')
+    .replace(/<(s|strike|del)>([\s\S]*?)<\/\1>/g, slack ? '~$2~' : '~~$2~~')
+    .replace(/<u>([\s\S]*?)<\/u>/g, flavor === 'discord' ? '__$1__' : '$1')
+    .replace(/<pre>([\s\S]*?)<\/pre>/g, '```\n$1\n```')
+    .replace(/<code>([\s\S]*?)<\/code>/g, '`$1`')
+    .replace(/<(?!\/?a[\s>])[^>]*>/g, '')
+    .replace(/<a [^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/g, (m, href, label) => slack ? `<${href}|${label}>` : `[${label}](${href})`);
+  // Slack mrkdwn keeps &amp; &lt; &gt; escaped, the others want raw text
+  return slack ? text : decodeHtmlEntities(text);
+}
+
+function escapeSlack(str) {
+  return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Slack Block Kit payload
+ */
+function buildSlackPayload(summary) {
+  const blocks = [
+    { type: 'header', text: { type: 'plain_text', text: truncate(summary.title, 150), emoji: true } }
+  ];
+
+  if (summary.html) {
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: truncate(htmlToMarkdown(summary.html, 'slack'), 3000) } });
+  }
+  if (summary.description) {
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: truncate(escapeSlack(summary.description), 3000) } });
+  }
+  for (const field of summary.fields.slice(0, 45)) {
+    const value = field.value.includes('\n') ? '```' + escapeSlack(field.value) + '```' : escapeSlack(field.value);
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: truncate(`*${escapeSlack(field.name)}*\n${value}`, 3000) } });
+  }
+
+  blocks.push({
+    type: 'actions',
+    elements: [{ type: 'button', text: { type: 'plain_text', text: 'View page' }, url: summary.url }]
+  });
+
+  return {
+    text: summary.title,
+    blocks
+  };
+}
+
+/**
+ * Discord webhook payload with an embed
+ */
+function buildDiscordPayload(summary) {
+  const embed = {
+    title: truncate(summary.title, 256),
+    url: summary.url,
+    color: summary.isError ? 0xE74C3C : 0x3498DB,
+    timestamp: new Date().toISOString(),
+    fields: summary.fields.slice(0, 25).map(field => ({
+      name: truncate(field.name, 256),
+      value: truncate(field.value.includes('\n') ? '```\n' + field.value + '\n```' : field.value, 1024),
+      inline: false
+    }))
+  };
+
+  const description = summary.html ? htmlToMarkdown(summary.html, 'discord') : summary.description;
+  if (description) embed.description = truncate(description, 4096);
+
+  return { embeds: [embed] };
+}
+
+/**
+ * Microsoft Teams payload with an Adaptive Card
+ */
+function buildTeamsPayload(summary) {
+  const body = [
+    {
+      type: 'TextBlock',
+      text: summary.title,
+      weight: 'Bolder',
+      size: 'Medium',
+      wrap: true,
+      ...(summary.isError && { color: 'Attention' })
+    }
+  ];
+
+  const description = summary.html ? htmlToMarkdown(summary.html, 'teams') : summary.description;
+  if (description) {
+    body.push({ type: 'TextBlock', text: description, wrap: true });
+  }
+
+  for (const field of summary.fields) {
+    body.push({ type: 'TextBlock', text: field.name, weight: 'Bolder', wrap: true, spacing: 'Medium' });
+    body.push({
+      type: 'TextBlock',
+      text: field.value,
+      wrap: true,
+      spacing: 'Small',
+      ...(field.value.includes('\n') && { fontType: 'Monospace' })
+    });
+  }
+
+  return {
+    type: 'message',
+    attachments: [{
+      contentType: 'application/vnd.microsoft.card.adaptive',
+      content: {
+        $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+        type: 'AdaptiveCard',
+        version: '1.4',
+        body,
+        actions: [{ type: 'Action.OpenUrl', title: 'View page', url: summary.url }]
+      }
+    }]
+  };
+}
+
+/**
+ * Matrix m.room.message content with HTML formatting
+ */
+function buildMatrixContent(summary) {
+  let html = `<h4>${escapeHtml(summary.title)}</h4>`;
+  let plain = `${summary.title}\n\n`;
+
+  if (summary.html) {
+    html += summary.html.replace(/\n/g, '<br>');
+    plain += decodeHtmlEntities(summary.html.replace(/<[^>]*>/g, ''));
+  } else {
+    if (summary.description) {
+      html += `<p>${escapeHtml(summary.description).replace(/\n/g, '<br>')}</p>`;
+      plain += `${summary.description}\n`;
+    }
+    if (summary.fields.length) {
+      html += '<ul>' + summary.fields.map(field => field.value.includes('\n')
+        ? `<li><b>${escapeHtml(field.name)}</b><pre>${escapeHtml(field.value)}</pre></li>`
+        : `<li><b>${escapeHtml(field.name)}</b>: ${escapeHtml(field.value)}</li>`
+      ).join('') + '</ul>';
+      plain += summary.fields.map(field => `${field.name}: ${field.value}`).join('\n') + '\n';
+    }
+    html += `<p><a href="${escapeHtml(summary.url)}">View page</a></p>`;
+    plain += `\n${summary.url}`;
+  }
+
+  return {
+    msgtype: 'm.text',
+    body: plain.trim(),
+    format: 'org.matrix.custom.html',
+    formatted_body: html
+  };
+}
+
+// ============================================================================
+// NOTIFICATIONS
+// ============================================================================
+
+function isThrottled(watchId) {
+  const lastNotification = notificationTimestamps.get(watchId);
+  if (!lastNotification) return false;
+  return Date.now() - lastNotification < NOTIFICATION_THROTTLE_MS;
+}
+
+/**
+ * One modified record of a keyed comparison: "K-100: price 10 → 12, stock yes → no"
+ */
+function formatModified(entry) {
+  const format = value => value === undefined || value === null ? '∅' : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  const fields = Object.entries(entry.fields).map(([field, { previous, current }]) => `${field} ${format(previous)} → ${format(current)}`);
+  return `${entry.key}: ${fields.join(', ')}`;
+}
+
+function formatDiff(change) {
+  if (!change.previous && change.previous !== 0) return '';
+
+  if (change.details?.diff !== undefined) {
+    const sign = change.details.diff >= 0 ? '+' : '';
+    return ` (${sign}${change.details.diff})`;
+  }
+
+  if (change.details?.added?.length || change.details?.removed?.length || change.details?.modified?.length) {
+    const parts = [];
+    if (change.details.added?.length) parts.push(`+${change.details.added.length}`);
+    if (change.details.removed?.length) parts.push(`-${change.details.removed.length}`);
+    if (change.details.modified?.length) parts.push(`~${change.details.modified.length}`);
+    return ` (${parts.join(', ')})`;
+  }
+
+  return '';
+}
+
+function formatMessage(watchConfig, changes, data, isError = false, errorMsg = '') {
+  if (isError) {
+    return `⚠️ <b>${watchConfig.name || 'Watch'} - ERROR</b>\n\n` +
+           `Failed ${errorCounts.get(getWatchId(watchConfig)) || 1} times\n` +
+           `Error: ${errorMsg}\n\n` +
+           `🔗 <a href="${watchConfig.url}">View page</a>`;
+  }
+
+  if (watchConfig.messageTemplate) {
+    let msg = watchConfig.messageTemplate;
+    msg = msg.replace(/\{\{name\}\}/g, watchConfig.name || 'Watch');
+    msg = msg.replace(/\{\{url\}\}/g, watchConfig.url);
+    msg = msg.replace(/\{\{changes\}\}/g, JSON.stringify(changes, null, 2));
+    msg = msg.replace(/\{\{data\}\}/g, JSON.stringify(data, null, 2));
+    msg = msg.replace(/\{\{timestamp\}\}/g, new Date().toISOString());
+
+    const allAdded = changes.flatMap(c => c.details?.added || []);
+    const allRemoved = changes.flatMap(c => c.details?.removed || []);
+
+    const formatItem = item => typeof item === 'object' ? (item.text || item.value || JSON.stringify(item)) : item;
+
+    msg = msg.replace(/\{\{added\}\}/g, allAdded.map(formatItem).join(', ') || 'none');
+    msg = msg.replace(/\{\{removed\}\}/g, allRemoved.map(formatItem).join(', ') || 'none');
+    msg = msg.replace(/\{\{addedList\}\}/g, allAdded.map(i => `• ${formatItem(i)}`).join('\n') || 'none');
+    msg = msg.replace(/\{\{removedList\}\}/g, allRemoved.map(i => `• ${formatItem(i)}`).join('\n') || 'none');
+    msg = msg.replace(/\{\{addedCount\}\}/g, String(allAdded.length));
+    msg = msg.replace(/\{\{removedCount\}\}/g, String(allRemoved.length));
+
+    // Records changed in place (keyed comparator)
+    const allModified = changes.flatMap(c => c.details?.modified || []);
+    msg = msg.replace(/\{\{modified\}\}/g, allModified.map(m => m.key).join(', ') || 'none');
+    msg = msg.replace(/\{\{modifiedList\}\}/g, allModified.map(m => `• ${formatModified(m)}`).join('\n') || 'none');
+    msg = msg.replace(/\{\{modifiedCount\}\}/g, String(allModified.length));
+
+    // {{textDiff.fieldname}} - changed lines of a textDiff comparator
+    msg = msg.replace(/\{\{textDiff\.(\w+)\}\}/g, (match, field) => {
+      const change = changes.find(c => c.name === field);
+      if (!change || change.comparator !== 'textDiff') return '';
+      return formatTextDiff(change);
+    });
+
+    // {{diff.fieldname}} - show change with diff
+    msg = msg.replace(/\{\{diff\.(\w+)\}\}/g, (match, field) => {
+      const change = changes.find(c => c.name === field);
+      if (!change) return '';
+      const curr = typeof change.current === 'object' ? JSON.stringify(change.current) : change.current;
+      const prev = typeof change.previous === 'object' ? JSON.stringify(change.previous) : change.previous;
+      if (prev === undefined || prev === null) return String(curr);
+      return `${prev} → ${curr}${formatDiff(change)}`;
+    });
+
+    msg = msg.replace(/\{\{current\.(\w+)\}\}/g, (match, field) => {
+      const val = data[field];
+      if (val === undefined || val === null) return '';
+      if (Array.isArray(val)) return val.map(v => typeof v === 'object' ? (v.text || v.value) : v).join(', ');
+      return typeof val === 'object' ? JSON.stringify(val) : String(val);
+    });
+
+    msg = msg.replace(/\{\{previous\.(\w+)\}\}/g, (match, field) => {
+      const change = changes.find(c => c.name === field);
+      if (!change) return '';
+      const val = change.previous;
+      if (val === undefined || val === null) return '';
+      if (Array.isArray(val)) return val.map(v => typeof v === 'object' ? (v.text || v.value) : v).join(', ');
+      return typeof val === 'object' ? JSON.stringify(val) : String(val);
+    });
+
+    return msg;
+  }
+
+  // Default format with diff
+  let msg = `🔔 <b>${watchConfig.name || 'Web Monitor'}</b>\n\n`;
+
+  for (const change of changes) {
+    msg += `<b>${change.name}</b>:`;
+
+    if (change.details?.added?.length) {
+      msg += `\n  Added: ${change.details.added.map(i => typeof i === 'object' ? (i.text || i.value || JSON.stringify(i)) : i).join(', ')}`;
+    }
+    if (change.details?.removed?.length) {
+      msg += `\n  Removed: ${change.details.removed.map(i => typeof i === 'object' ? (i.text || i.value || JSON.stringify(i)) : i).join(', ')}`;
+    }
+    if (change.details?.modified?.length) {
+      msg += `\n  Modified: ${change.details.modified.map(formatModified).join('; ')}`;
+    }
+    if (change.comparator === 'textDiff') {
+      msg += `\n<pre>${formatTextDiff(change)}</pre>`;
+    } else if (change.comparator === 'visual') {
+      msg += change.details?.reason
+        ? ` ${change.details.reason}`
+        : ` ${change.details?.diffPercent}% of pixels changed`;
+    } else if (!change.details?.added && !change.details?.removed) {
+      const curr = typeof change.current === 'object' ? JSON.stringify(change.current) : change.current;
+      const prev = typeof change.previous === 'object' ? JSON.stringify(change.previous) : change.previous;
+      if (prev !== undefined && prev !== null) {
+        msg += ` ${prev} → ${curr}${formatDiff(change)}`;
+      } else {
+        msg += ` ${curr}`;
+      }
+    }
+    msg += '\n';
+  }
+
+  msg += `\n🔗 <a href="${watchConfig.url}">View page</a>`;
+
+  return msg;
+}
+
+/**
+ * Images to send along with a notification (visual diffs)
+ */
+function collectAttachments(changes) {
+  return changes
+    .filter(c => c.details?.diffImage && fs.existsSync(c.details.diffImage))
+    .map(c => ({
+      name: c.name,
+      path: c.details.diffImage,
+      filename: path.basename(c.details.diffImage),
+      contentType: 'image/png',
+      caption: `${c.name}: ${c.details.diffPercent}% changed`
+    }));
+}
+
+/**
+ * A failed notification delivery. `permanent` failures (e.g. HTTP 400/401/404)
+ * are not retried; `retryAfterMs` comes from 429 responses.
+ */
+class DeliveryError extends Error {
+  constructor(message, { status = null, retryAfterMs = null, permanent = false } = {}) {
+    super(message);
+    this.name = 'DeliveryError';
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+    this.permanent = permanent;
+  }
+}
+
+/**
+ * Throw a DeliveryError for non-2xx responses, honoring Retry-After and
+ * Telegram/Discord `retry_after` bodies
+ */
+async function assertDelivered(response, label) {
+  if (response.ok) return;
+
+  const body = await response.text().catch(() => '');
+  let retryAfterMs = null;
+
+  const header = response.headers.get('retry-after');
+  if (header) {
+    retryAfterMs = /^\d+(\.\d+)?$/.test(header)
+      ? parseFloat(header) * 1000
+      : Math.max(Date.parse(header) - Date.now(), 0) || null;
+  }
+  try {
+    const json = JSON.parse(body);
+    // Telegram: { parameters: { retry_after: 5 } }, Discord: { retry_after: 1.5 }
+    const retryAfter = json.parameters?.retry_after ?? json.retry_after;
+    if (retryAfter !== undefined) retryAfterMs = retryAfter * 1000;
+  } catch (e) {}
+
+  const permanent = response.status >= 400 && response.status < 500 && ![408, 425, 429].includes(response.status);
+  throw new DeliveryError(`${label} HTTP ${response.status}: ${truncate(body, 300)}`, {
+    status: response.status,
+    retryAfterMs,
+    permanent
+  });
+}
+
+/**
+ * Deliver a message to one channel. Returns true when sent, false when the
+ * channel is not configured; throws on delivery failure.
+ */
+async function sendToChannel(channel, message, watchConfig, attachments = [], meta = {}) {
+  // Channels are stored with their secret references (also in the outbox)
+  channel = resolveSecrets(channel);
+  const type = channel.type || CHANNEL_TYPES.find(t => channel[t]) || null;
+
+  if (channel.attachments === false) {
+    attachments = [];
+  }
+
+  switch (type) {
+    case 'telegram': {
+      const tgToken = channel.token || channel.telegram?.token || TELEGRAM_BOT_TOKEN;
+      const tgChat = channel.chatId || channel.telegram?.chatId || TELEGRAM_CHAT_ID;
+      if (!tgToken || !tgChat) return false;
+
+      const response = await fetch(`https://api.telegram.org/bot${tgToken}/sendMessage`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          chat_id: tgChat,
+          text: message,
+          parse_mode: 'HTML',
+          disable_web_page_preview: !watchConfig.enablePreview
+        })
+      });
+      await assertDelivered(response, 'Telegram');
+      console.log('  Telegram notification sent');
+
+      // Photos are best effort: the message itself already went out
+      for (const attachment of attachments) {
+        const form = new FormData();
+        form.append('chat_id', tgChat);
+        form.append('caption', attachment.caption);
+        form.append('photo', new Blob([fs.readFileSync(attachment.path)], { type: attachment.contentType }), attachment.filename);
+        const photoResponse = await fetch(`https://api.telegram.org/bot${tgToken}/sendPhoto`, {
+          method: 'POST',
+          body: form
+        });
+        if (!photoResponse.ok) {
+          console.log('  Telegram photo error:', await photoResponse.text());
+        }
+      }
+      return true;
+    }
+
+    case 'ntfy': {
+      const ntfyUrl = channel.url || channel.ntfy?.url || NTFY_URL;
+      if (!ntfyUrl) return false;
+
+      const response = await fetch(ntfyUrl, {
+        method: 'POST',
+        headers: {
+          'Title': watchConfig.name || 'Web Monitor Alert',
+          'Priority': channel.priority || watchConfig.priority || 'default',
+          'Tags': channel.tags || watchConfig.tags || 'loudspeaker'
+        },
+        body: message.replace(/<[^>]*>/g, '')
+      });
+      await assertDelivered(response, 'ntfy');
+
+      for (const attachment of attachments) {
+        const attachmentResponse = await fetch(ntfyUrl, {
+          method: 'PUT',
+          headers: {
+            'Title': watchConfig.name || 'Web Monitor Alert',
+            'Filename': attachment.filename,
+            'Message': attachment.caption
+          },
+          body: fs.readFileSync(attachment.path)
+        });
+        if (!attachmentResponse.ok) {
+          console.log('  ntfy attachment error:', await attachmentResponse.text());
+        }
+      }
+      console.log('  ntfy notification sent');
+      return true;
+    }
+
+    case 'webhook': {
+      const webhookUrl = channel.url || channel.webhook?.url || WEBHOOK_URL;
+      if (!webhookUrl) return false;
+
+      const response = await fetch(webhookUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...(channel.headers || {}) },
+        body: JSON.stringify({
+          watch: watchConfig.name,
+          id: getWatchId(watchConfig),
+          url: watchConfig.url,
+          message,
+          timestamp: new Date().toISOString(),
+          ...(attachments.length && {
+            attachments: attachments.map(a => ({
+              name: a.name,
+              filename: a.filename,
+              contentType: a.contentType,
+              data: fs.readFileSync(a.path).toString('base64')
+            }))
+          })
+        })
+      });
+      await assertDelivered(response, 'Webhook');
+      console.log('  Webhook notification sent');
+      return true;
+    }
+
+    case 'email': {
+      const smtp = { ...(channel.email || {}), ...channel };
+      const smtpHost = smtp.host || SMTP_HOST;
+      const emailTo = toAddressList(smtp.to || SMTP_TO);
+      const emailFrom = smtp.from || SMTP_FROM || (smtp.username || SMTP_USERNAME);
+      if (!smtpHost || !emailTo.length || !emailFrom) return false;
+
+      const { html, text } = messageToEmailBodies(message);
+      await sendEmail({
+        host: smtpHost,
+        port: smtp.port || SMTP_PORT,
+        secure: smtp.secure ?? SMTP_SECURE,
+        starttls: smtp.starttls,
+        allowPlaintextAuth: smtp.allowPlaintextAuth,
+        username: smtp.username || SMTP_USERNAME,
+        password: smtp.password || SMTP_PASSWORD,
+        rejectUnauthorized: smtp.rejectUnauthorized,
+        timeout: smtp.timeout
+      }, {
+        from: emailFrom,
+        to: emailTo,
+        cc: toAddressList(smtp.cc),
+        bcc: toAddressList(smtp.bcc),
+        subject: formatEmailSubject(smtp, watchConfig, meta.changes || [], meta.isError),
+        text,
+        html,
+        attachments
+      });
+      console.log(`  Email notification sent to ${emailTo.join(', ')}`);
+      return true;
+    }
+
+    case 'slack': {
+      const slackUrl = channel.url || channel.slack?.url || SLACK_WEBHOOK_URL;
+      const slackToken = channel.token || channel.slack?.token;
+      const slackChannel = channel.channel || channel.slack?.channel;
+      if (!slackUrl && !(slackToken && slackChannel)) return false;
+
+      const payload = buildSlackPayload(buildNotificationSummary(watchConfig, message, meta));
+      // Bot token + channel uses chat.postMessage, otherwise an incoming webhook
+      const response = slackToken
+        ? await fetch('https://slack.com/api/chat.postMessage', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json; charset=utf-8', 'Authorization': `Bearer ${slackToken}` },
+            body: JSON.stringify({ channel: slackChannel, ...payload })
+          })
+        : await fetch(slackUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload)
+          });
+      await assertDelivered(response, 'Slack');
+      if (slackToken) {
+        // chat.postMessage reports errors with HTTP 200 and ok: false
+        const result = await response.json();
+        if (!result.ok) {
+          throw new DeliveryError(`Slack error: ${result.error}`, { permanent: result.error !== 'ratelimited' });
+        }
+      }
+      console.log('  Slack notification sent');
+      return true;
+    }
+
+    case 'discord': {
+      const discordUrl = channel.url || channel.discord?.url || DISCORD_WEBHOOK_URL;
+      if (!discordUrl) return false;
+
+      const payload = buildDiscordPayload(buildNotificationSummary(watchConfig, message, meta));
+      if (channel.username) payload.username = channel.username;
+      if (channel.avatarUrl) payload.avatar_url = channel.avatarUrl;
+
+      let body;
+      let headers = {};
+      if (attachments.length) {
+        // Multipart: JSON payload plus image files
+        body = new FormData();
+        body.append('payload_json', JSON.stringify(payload));
+        attachments.slice(0, 10).forEach((attachment, i) => {
+          body.append(`files[${i}]`, new Blob([fs.readFileSync(attachment.path)], { type: attachment.contentType }), attachment.filename);
+        });
+      } else {
+        body = JSON.stringify(payload);
+        headers = { 'Content-Type': 'application/json' };
+      }
+
+      const response = await fetch(discordUrl, { method: 'POST', headers, body });
+      await assertDelivered(response, 'Discord');
+      console.log('  Discord notification sent');
+      return true;
+    }
+
+    case 'teams': {
+      const teamsUrl = channel.url || channel.teams?.url || TEAMS_WEBHOOK_URL;
+      if (!teamsUrl) return false;
+
+      const response = await fetch(teamsUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(buildTeamsPayload(buildNotificationSummary(watchConfig, message, meta)))
+      });
+      await assertDelivered(response, 'Teams');
+      console.log('  Teams notification sent');
+      return true;
+    }
+
+    case 'matrix': {
+      const matrix = { ...(channel.matrix || {}), ...channel };
+      const homeserver = (matrix.homeserver || MATRIX_HOMESERVER || '').replace(/\/$/, '');
+      const matrixToken = matrix.accessToken || MATRIX_ACCESS_TOKEN;
+      const roomId = matrix.roomId || MATRIX_ROOM_ID;
+      if (!homeserver || !matrixToken || !roomId) return false;
+
+      const txnId = `mon-itor-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+      const response = await fetch(
+        `${homeserver}/_matrix/client/v3/rooms/${encodeURIComponent(roomId)}/send/m.room.message/${txnId}`,
+        {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${matrixToken}` },
+          body: JSON.stringify(buildMatrixContent(buildNotificationSummary(watchConfig, message, meta)))
+        }
+      );
+      await assertDelivered(response, 'Matrix');
+      console.log('  Matrix notification sent');
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Channels configured through environment variables
+ */
+function globalChannels() {
+  const channels = [];
+  if (TELEGRAM_BOT_TOKEN && TELEGRAM_CHAT_ID) channels.push({ type: 'telegram' });
+  if (NTFY_URL) channels.push({ type: 'ntfy' });
+  if (WEBHOOK_URL) channels.push({ type: 'webhook' });
+  if (SMTP_HOST && SMTP_TO) channels.push({ type: 'email' });
+  if (SLACK_WEBHOOK_URL) channels.push({ type: 'slack' });
+  if (DISCORD_WEBHOOK_URL) channels.push({ type: 'discord' });
+  if (TEAMS_WEBHOOK_URL) channels.push({ type: 'teams' });
+  if (MATRIX_HOMESERVER && MATRIX_ACCESS_TOKEN && MATRIX_ROOM_ID) channels.push({ type: 'matrix' });
+  return channels;
+}
+
+async function notify(watchConfig, changes, data, isError = false, errorMsg = '', errorScreenshot = null) {
+  const watchId = getWatchId(watchConfig);
+
+  if (isSnoozed(watchId)) {
+    console.log(`  Notification snoozed until ${getWatchControl(watchId).snoozedUntil}`);
+    return;
+  }
+
+  if (!isError && isThrottled(watchId)) {
+    console.log('  Notification throttled (too soon after last notification)');
+    return;
+  }
+
+  const message = formatMessage(watchConfig, changes, data, isError, errorMsg);
+  const attachments = collectAttachments(changes);
+  if (errorScreenshot && fs.existsSync(errorScreenshot)) {
+    attachments.push({
+      name: 'error',
+      path: errorScreenshot,
+      filename: path.basename(errorScreenshot),
+      contentType: 'image/png',
+      caption: `${watchConfig.name || 'Watch'}: error screenshot`
+    });
+  }
+  const meta = notificationMeta(changes, isError, errorMsg);
+
+  // Per-watch notification channels, or the global ones
+  const channels = Array.isArray(watchConfig.notifications) ? watchConfig.notifications : globalChannels();
+
+  // Every delivery goes through the persistent outbox so failures are retried
+  for (const channel of channels) {
+    const delivery = enqueueDelivery(channel, message, watchConfig, attachments, meta);
+    await attemptDelivery(delivery);
+  }
+
+  if (channels.length > 0 && !isError) {
+    notificationTimestamps.set(watchId, Date.now());
+  }
+}
+
+// ============================================================================
+// NOTIFICATION QUEUE
+// ============================================================================
+
+let outbox = null;
+
+function outboxPath() {
+  return path.join(NOTIFY_DIR, 'outbox.json');
+}
+
+function loadOutbox() {
+  if (outbox) return outbox;
+  outbox = [];
+  try {
+    if (fs.existsSync(outboxPath())) {
+      outbox = JSON.parse(fs.readFileSync(outboxPath(), 'utf8'));
+    }
+  } catch (e) {
+    console.log(`Could not read notification outbox: ${e.message}`);
+  }
+  return outbox;
+}
+
+function saveOutbox() {
+  try {
+    if (!fs.existsSync(NOTIFY_DIR)) {
+      fs.mkdirSync(NOTIFY_DIR, { recursive: true });
+    }
+    const tmpPath = `${outboxPath()}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(loadOutbox(), null, 2));
+    fs.renameSync(tmpPath, outboxPath());
+  } catch (e) {
+    console.log(`Could not write notification outbox: ${e.message}`);
+  }
+}
+
+function logDeliveryAttempt(entry) {
+  try {
+    if (!fs.existsSync(NOTIFY_DIR)) {
+      fs.mkdirSync(NOTIFY_DIR, { recursive: true });
+    }
+    fs.appendFileSync(path.join(NOTIFY_DIR, 'deliveries.jsonl'), JSON.stringify(entry) + '\n');
+  } catch (e) {
+    console.log(`Could not write delivery log: ${e.message}`);
+  }
+}
+
+function readDeliveryLog() {
+  const logPath = path.join(NOTIFY_DIR, 'deliveries.jsonl');
+  if (!fs.existsSync(logPath)) return [];
+  return fs.readFileSync(logPath, 'utf8').split('\n').filter(l => l.trim()).map(l => {
+    try { return JSON.parse(l); } catch (e) { return null; }
+  }).filter(e => e);
+}
+
+function pruneDeliveryLog() {
+  const entries = readDeliveryLog();
+  if (entries.length <= NOTIFY_LOG_MAX_ENTRIES) return;
+  const logPath = path.join(NOTIFY_DIR, 'deliveries.jsonl');
+  const tmpPath = `${logPath}.tmp`;
+  fs.writeFileSync(tmpPath, entries.slice(-NOTIFY_LOG_MAX_ENTRIES).map(e => JSON.stringify(e) + '\n').join(''));
+  fs.renameSync(tmpPath, logPath);
+}
+
+/**
+ * Add a delivery to the outbox. Everything needed to resend it later is stored
+ * with it, since the watch config may change or go away in the meantime.
+ */
+function enqueueDelivery(channel, message, watchConfig, attachments, meta) {
+  message = redactSecrets(message);
+  const delivery = {
+    id: crypto.randomUUID(),
+    watchId: getWatchId(watchConfig),
+    watchName: watchConfig.name,
+    channelType: channel.type || CHANNEL_TYPES.find(t => channel[t]) || 'unknown',
+    channel,
+    watch: {
+      id: watchConfig.id,
+      _file: watchConfig._file,
+      name: watchConfig.name,
+      url: watchConfig.url,
+      enablePreview: watchConfig.enablePreview,
+      priority: watchConfig.priority,
+      tags: watchConfig.tags,
+      messageTemplate: watchConfig.messageTemplate
+    },
+    message,
+    attachments,
+    meta,
+    status: 'pending',
+    attempts: 0,
+    createdAt: new Date().toISOString(),
+    nextAttemptAt: new Date().toISOString(),
+    lastError: null
+  };
+
+  loadOutbox().push(delivery);
+  saveOutbox();
+  return delivery;
+}
+
+function retryDelay(attempts, error) {
+  const backoff = Math.min(NOTIFY_RETRY_BASE_MS * Math.pow(2, attempts - 1), NOTIFY_RETRY_MAX_MS);
+  return error?.retryAfterMs ? Math.max(error.retryAfterMs, 1000) : backoff;
+}
+
+async function attemptDelivery(delivery) {
+  if (delivery.inFlight || delivery.status !== 'pending') return;
+  delivery.inFlight = true;
+  delivery.attempts++;
+
+  const attachments = (delivery.attachments || []).filter(a => fs.existsSync(a.path));
+  const logEntry = {
+    deliveryId: delivery.id,
+    watchId: delivery.watchId,
+    channel: delivery.channelType,
+    attempt: delivery.attempts,
+    timestamp: new Date().toISOString()
+  };
+
+  try {
+    const sent = await sendToChannel(delivery.channel, delivery.message, delivery.watch, attachments, delivery.meta);
+    if (!sent) {
+      throw new DeliveryError(`${delivery.channelType} channel is not configured`, { permanent: true });
+    }
+    delivery.status = 'sent';
+    logDeliveryAttempt({ ...logEntry, success: true });
+    incrementCounter('web_monitor_notifications_total', { watch: delivery.watchId, channel: delivery.channelType, result: 'sent' });
+    publishEvent('notification-sent', { watchId: delivery.watchId, name: delivery.watchName || null, channel: delivery.channelType });
+  } catch (e) {
+    const errorMessage = redactSecrets(e.message);
+    delivery.lastError = errorMessage;
+    const giveUp = e.permanent || delivery.attempts >= NOTIFY_MAX_ATTEMPTS;
+    logDeliveryAttempt({ ...logEntry, success: false, error: errorMessage, ...(e.status && { status: e.status }) });
+
+    if (giveUp) {
+      delivery.status = 'failed';
+      delivery.failedAt = new Date().toISOString();
+      incrementCounter('web_monitor_notifications_total', { watch: delivery.watchId, channel: delivery.channelType, result: 'failed' });
+      publishEvent('notification-failed', { watchId: delivery.watchId, name: delivery.watchName || null, channel: delivery.channelType, error: errorMessage });
+      console.log(`  ${delivery.channelType} delivery failed permanently after ${delivery.attempts} attempt(s): ${errorMessage}`);
+    } else {
+      const delay = retryDelay(delivery.attempts, e);
+      delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+      console.log(`  ${delivery.channelType} delivery failed (attempt ${delivery.attempts}/${NOTIFY_MAX_ATTEMPTS}), retrying in ${Math.round(delay / 1000)}s: ${errorMessage}`);
+    }
+  } finally {
+    delete delivery.inFlight;
+  }
+
+  // Sent deliveries leave the outbox (the log keeps the record); failed ones
+  // stay as dead letters, capped to the most recent
+  const box = loadOutbox();
+  const remaining = box.filter(d => d.status !== 'sent');
+  const failed = remaining.filter(d => d.status === 'failed');
+  const dropped = new Set(failed.slice(0, Math.max(failed.length - NOTIFY_DEAD_LETTER_MAX, 0)));
+  outbox = remaining.filter(d => !dropped.has(d));
+  saveOutbox();
+}
+
+/**
+ * Retry pending deliveries whose backoff has expired
+ */
+async function processOutbox() {
+  const now = Date.now();
+  const due = loadOutbox().filter(d => d.status === 'pending' && !d.inFlight && Date.parse(d.nextAttemptAt) <= now);
+  for (const delivery of due) {
+    await attemptDelivery(delivery);
+  }
+}
+
+async function resendDelivery(id) {
+  const delivery = loadOutbox().find(d => d.id === id);
+  if (!delivery) return null;
+  if (delivery.inFlight) return delivery;
+  delivery.status = 'pending';
+  delivery.attempts = 0;
+  delivery.nextAttemptAt = new Date().toISOString();
+  delete delivery.failedAt;
+  await attemptDelivery(delivery);
+  return delivery;
+}
+
+function dismissDelivery(id) {
+  const box = loadOutbox();
+  const index = box.findIndex(d => d.id === id);
+  if (index === -1) return false;
+  box.splice(index, 1);
+  saveOutbox();
+  return true;
+}
+
+/**
+ * Outbox entries without the (possibly secret) channel config and large payloads
+ */
+function getOutboxStatus() {
+  return loadOutbox().map(d => ({
+    id: d.id,
+    watchId: d.watchId,
+    watchName: d.watchName,
+    channel: d.channelType,
+    status: d.status,
+    attempts: d.attempts,
+    createdAt: d.createdAt,
+    nextAttemptAt: d.status === 'pending' ? d.nextAttemptAt : null,
+    failedAt: d.failedAt || null,
+    lastError: d.lastError
+  }));
+}
+
+// ============================================================================
+// STATE MANAGEMENT
+// ============================================================================
+
+function statePath(watchId) {
+  return watchPath(STATE_DIR, watchId, '.json');
+}
+
+function loadState(watchId) {
+  const filePath = statePath(watchId);
+  if (fs.existsSync(filePath)) {
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (e) {
+      return null;
+    }
+  }
   return null;
 }
 
-function saveState(watchId, data, error = null) {
-  if (!fs.existsSync(STATE_DIR)) {
-    fs.mkdirSync(STATE_DIR, { recursive: true });
+function saveState(watchId, data, error = null) {
+  if (!fs.existsSync(STATE_DIR)) {
+    fs.mkdirSync(STATE_DIR, { recursive: true });
+  }
+  const state = {
+    data,
+    timestamp: new Date().toISOString(),
+    ...(error && { lastError: error })
+  };
+  fs.writeFileSync(
+    statePath(watchId),
+    JSON.stringify(state, null, 2)
+  );
+}
+
+async function saveErrorScreenshot(page, watchId, error) {
+  try {
+    if (!fs.existsSync(SCREENSHOT_DIR)) {
+      fs.mkdirSync(SCREENSHOT_DIR, { recursive: true });
+    }
+    const filename = `error-${watchId}-${Date.now()}.png`;
+    const filepath = path.join(SCREENSHOT_DIR, filename);
+    await page.screenshot({ path: filepath, fullPage: true });
+    console.log(`  Error screenshot saved: ${filename}`);
+    return filepath;
+  } catch (e) {
+    console.log(`  Could not save error screenshot: ${e.message}`);
+    return null;
+  }
+}
+
+// ============================================================================
+// WATCH CONTROLS
+// ============================================================================
+
+let watchControls = null;
+
+function controlsPath() {
+  return path.join(CONTROLS_DIR, 'watches.json');
+}
+
+/**
+ * Pause/snooze status per watch id, persisted so it survives restarts
+ */
+function loadControls() {
+  if (watchControls) return watchControls;
+  watchControls = {};
+  try {
+    if (fs.existsSync(controlsPath())) {
+      watchControls = JSON.parse(fs.readFileSync(controlsPath(), 'utf8'));
+    }
+  } catch (e) {
+    console.log(`Could not read watch controls: ${e.message}`);
+  }
+  return watchControls;
+}
+
+function saveControls() {
+  try {
+    if (!fs.existsSync(CONTROLS_DIR)) {
+      fs.mkdirSync(CONTROLS_DIR, { recursive: true });
+    }
+    const tmpPath = `${controlsPath()}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(loadControls(), null, 2));
+    fs.renameSync(tmpPath, controlsPath());
+  } catch (e) {
+    console.log(`Could not write watch controls: ${e.message}`);
+  }
+}
+
+/**
+ * Current controls of a watch; expired snoozes read as not snoozed
+ */
+function getWatchControl(watchId) {
+  const control = loadControls()[watchId] || {};
+  const snoozed = !!control.snoozedUntil && Date.parse(control.snoozedUntil) > Date.now();
+  return {
+    paused: !!control.paused,
+    pausedAt: control.paused ? control.pausedAt : null,
+    snoozedUntil: snoozed ? control.snoozedUntil : null
+  };
+}
+
+function updateWatchControl(watchId, changes) {
+  const controls = loadControls();
+  const control = { ...controls[watchId], ...changes };
+  for (const key of Object.keys(control)) {
+    if (control[key] === null || control[key] === false) delete control[key];
+  }
+  if (Object.keys(control).length > 0) {
+    controls[watchId] = control;
+  } else {
+    delete controls[watchId];
+  }
+  saveControls();
+  return getWatchControl(watchId);
+}
+
+function isPaused(watchId) {
+  return getWatchControl(watchId).paused;
+}
+
+function isSnoozed(watchId) {
+  return getWatchControl(watchId).snoozedUntil !== null;
+}
+
+/**
+ * Forget the saved state and visual baselines: the next check is saved as
+ * the new baseline without notifying
+ */
+function resetBaseline(watchId) {
+  const filePath = statePath(watchId);
+  if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+
+  const dir = visualDir(watchId);
+  if (fs.existsSync(dir)) {
+    for (const file of fs.readdirSync(dir).filter(f => /-(baseline|previous)\.png$/.test(f))) {
+      fs.unlinkSync(path.join(dir, file));
+    }
+  }
+  lastTextDiffs.delete(watchId);
+}
+
+function clearErrorCount(watchId) {
+  errorCounts.set(watchId, 0);
+  if (lastCheckResults[watchId]) lastCheckResults[watchId].errorCount = 0;
+}
+
+/**
+ * A dashboard row for a watch that hasn't run since startup (e.g. paused),
+ * from its saved state
+ */
+function seedCheckResult(config) {
+  const watchId = getWatchId(config);
+  if (lastCheckResults[watchId]) return;
+  const state = loadState(watchId);
+  // Saved state holds raw values: learn the watch's secrets to redact them
+  // (unresolvable references fail its next check instead)
+  try {
+    resolveSecrets(config);
+  } catch (e) {}
+  lastCheckResults[watchId] = {
+    watchId,
+    name: config.name,
+    success: !state?.lastError,
+    timestamp: state?.timestamp,
+    data: redactValue(state?.data),
+    error: redactSecrets(state?.lastError),
+    errorCount: errorCounts.get(watchId) || 0
+  };
+}
+
+// ============================================================================
+// HISTORY
+// ============================================================================
+
+function historyPath(watchId) {
+  return watchPath(HISTORY_DIR, watchId, '.jsonl');
+}
+
+/**
+ * Append a check result to the watch's history file
+ */
+function appendHistory(watchId, entry) {
+  try {
+    if (!fs.existsSync(HISTORY_DIR)) {
+      fs.mkdirSync(HISTORY_DIR, { recursive: true });
+    }
+    fs.appendFileSync(historyPath(watchId), redactSecrets(JSON.stringify(entry)) + '\n');
+  } catch (e) {
+    console.log(`  Could not write history: ${e.message}`);
+  }
+}
+
+/**
+ * Stream a watch's history entries (oldest first), keeping the ones `filter`
+ * accepts. `end` stops reading at that byte offset (inclusive).
+ */
+async function readHistory(watchId, { filter = null, end } = {}) {
+  const filePath = historyPath(watchId);
+  if (!fs.existsSync(filePath)) return [];
+
+  const entries = [];
+  const input = fs.createReadStream(filePath, { encoding: 'utf8', ...(end !== undefined && { end }) });
+  for await (const line of readline.createInterface({ input, crlfDelay: Infinity })) {
+    if (!line.trim()) continue;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (e) {
+      // Skip partially written lines
+      continue;
+    }
+    if (!filter || filter(entry)) entries.push(entry);
+  }
+  return entries;
+}
+
+/**
+ * Query history with time range, field filter and pagination (newest first)
+ */
+async function queryHistory(watchId, options = {}) {
+  const { from, to, field, changesOnly, offset = 0, limit = 50 } = options;
+
+  const entries = (await readHistory(watchId, {
+    filter: (e) => {
+      const time = Date.parse(e.timestamp);
+      if (from !== undefined && time < from) return false;
+      if (to !== undefined && time > to) return false;
+      if (field) return !!e.changes?.some(c => c.name === field);
+      return !changesOnly || e.changes?.length > 0;
+    }
+  })).reverse();
+
+  return {
+    watchId,
+    total: entries.length,
+    offset,
+    limit,
+    entries: entries.slice(offset, offset + limit)
+  };
+}
+
+/**
+ * Drop entries older than the retention window or beyond the max entry count
+ */
+async function pruneHistory(watchId, config = {}) {
+  const retentionDays = config.historyRetentionDays || HISTORY_RETENTION_DAYS;
+  const maxEntries = config.historyMaxEntries || HISTORY_MAX_ENTRIES;
+  const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+
+  const filePath = historyPath(watchId);
+  if (!fs.existsSync(filePath)) return 0;
+  const { size } = await fs.promises.stat(filePath);
+  if (size === 0) return 0;
+
+  let total = 0;
+  let kept = await readHistory(watchId, {
+    end: size - 1,
+    filter: (e) => {
+      total++;
+      return Date.parse(e.timestamp) >= cutoff;
+    }
+  });
+  if (kept.length > maxEntries) {
+    kept = kept.slice(kept.length - maxEntries);
+  }
+
+  if (kept.length === total) return 0;
+
+  const tmpPath = `${filePath}.tmp`;
+  try {
+    await fs.promises.writeFile(tmpPath, kept.map(e => JSON.stringify(e) + '\n').join(''));
+    // Carry over entries appended while pruning. Nothing below yields to the
+    // event loop, so no check can append between this read and the rename.
+    const fd = fs.openSync(filePath, 'r');
+    try {
+      const appended = Buffer.alloc(Math.max(fs.fstatSync(fd).size - size, 0));
+      fs.readSync(fd, appended, 0, appended.length, size);
+      fs.appendFileSync(tmpPath, appended);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tmpPath, filePath);
+  } catch (e) {
+    fs.rmSync(tmpPath, { force: true });
+    throw e;
+  }
+  return total - kept.length;
+}
+
+async function pruneAllHistory(configs = []) {
+  if (!fs.existsSync(HISTORY_DIR)) return;
+
+  for (const file of fs.readdirSync(HISTORY_DIR).filter(f => f.endsWith('.jsonl'))) {
+    const watchId = file.replace(/\.jsonl$/, '');
+    const config = configs.find(c => getWatchId(c) === watchId) || {};
+    try {
+      const removed = await pruneHistory(watchId, config);
+      if (removed > 0) {
+        console.log(`History: pruned ${removed} entries from ${watchId}`);
+      }
+    } catch (e) {
+      console.log(`History: could not prune ${watchId}: ${e.message}`);
+    }
+  }
+}
+
+/**
+ * Seed the in-memory dashboard history from disk after a restart
+ */
+async function seedWatchHistory(watchId) {
+  if (watchHistory.has(watchId)) return;
+  const entries = await readHistory(watchId);
+  const recent = entries.slice(-HISTORY_SIZE).reverse();
+  watchHistory.set(watchId, recent.map(h => ({
+    timestamp: h.timestamp,
+    success: h.success,
+    data: h.data,
+    error: h.error,
+    changes: h.changes?.length || 0
+  })));
+
+  for (const entry of entries) {
+    recordTextDiffs(watchId, entry.changes, entry.timestamp);
+  }
+  seedWatchMetrics(watchId, entries);
+}
+
+function recordTextDiffs(watchId, changes = [], timestamp) {
+  for (const change of changes.filter(c => c.comparator === 'textDiff')) {
+    if (!lastTextDiffs.has(watchId)) lastTextDiffs.set(watchId, {});
+    lastTextDiffs.get(watchId)[change.name] = { timestamp, words: change.details?.words || [] };
+  }
+}
+
+// ============================================================================
+// BROWSER CONTEXT
+// ============================================================================
+
+async function createContext(config) {
+  const contextOptions = {
+    userAgent: config.userAgent || DEFAULT_USER_AGENT,
+    viewport: config.viewport || { width: 1280, height: 720 },
+    locale: config.locale || 'en-US',
+    timezoneId: config.timezone || 'America/New_York'
+  };
+
+  if (config.headers) {
+    contextOptions.extraHTTPHeaders = config.headers;
+  }
+
+  if (config.proxy) {
+    contextOptions.proxy = typeof config.proxy === 'string'
+      ? { server: config.proxy }
+      : config.proxy;
+  }
+
+  // Persistent session support
+  if (config.persistSession) {
+    const sessionPath = path.join(SESSION_DIR, config.id || 'default');
+    if (!fs.existsSync(sessionPath)) {
+      fs.mkdirSync(sessionPath, { recursive: true });
+    }
+    contextOptions.storageState = fs.existsSync(path.join(sessionPath, 'state.json'))
+      ? path.join(sessionPath, 'state.json')
+      : undefined;
+  }
+
+  const context = await browser.newContext(contextOptions);
+
+  if (config.cookies) {
+    await context.addCookies(config.cookies);
+  }
+
+  return context;
+}
+
+async function saveSession(context, config) {
+  if (config.persistSession) {
+    const sessionPath = path.join(SESSION_DIR, config.id || 'default');
+    if (!fs.existsSync(sessionPath)) {
+      fs.mkdirSync(sessionPath, { recursive: true });
+    }
+    await context.storageState({ path: path.join(sessionPath, 'state.json') });
+    console.log('  Session saved');
+  }
+}
+
+// ============================================================================
+// HTTP ENGINE
+// ============================================================================
+
+const proxyAgents = new Map(); // Proxy server -> { token, agent }
+
+/**
+ * One undici ProxyAgent (and its connection pool) per proxy server, shared by
+ * every fetch through it; replaced when the proxy credentials change
+ */
+function getProxyAgent(proxyConfig) {
+  const undici = require('undici');
+  const token = proxyConfig.username
+    ? 'Basic ' + Buffer.from(`${proxyConfig.username}:${proxyConfig.password || ''}`).toString('base64')
+    : null;
+
+  const cached = proxyAgents.get(proxyConfig.server);
+  if (cached && cached.token === token) return cached.agent;
+
+  // Requests still running on the old agent finish before it closes
+  cached?.agent.close().catch(() => {});
+  const agent = new undici.ProxyAgent({ uri: proxyConfig.server, ...(token && { token }) });
+  proxyAgents.set(proxyConfig.server, { token, agent });
+  return agent;
+}
+
+/**
+ * Fetch a URL without a browser (engine: "http")
+ */
+async function fetchUrl(config) {
+  const headers = {
+    'User-Agent': config.userAgent || DEFAULT_USER_AGENT,
+    'Accept-Language': config.locale || 'en-US',
+    ...(config.headers || {})
+  };
+
+  if (config.cookies?.length) {
+    headers['Cookie'] = config.cookies.map(c => `${c.name}=${c.value}`).join('; ');
+  }
+
+  const options = {
+    method: config.method || 'GET',
+    headers,
+    redirect: 'follow',
+    signal: AbortSignal.timeout(config.timeout || 60000)
+  };
+
+  if (config.body !== undefined) {
+    options.body = typeof config.body === 'string' ? config.body : JSON.stringify(config.body);
+  }
+
+  let fetchFn = fetch;
+  const proxy = config.proxy || (process.env.PROXY_SERVER && {
+    server: process.env.PROXY_SERVER,
+    username: process.env.PROXY_USERNAME,
+    password: process.env.PROXY_PASSWORD
+  });
+
+  if (proxy) {
+    // Built-in fetch has no proxy support, use undici directly
+    options.dispatcher = getProxyAgent(typeof proxy === 'string' ? { server: proxy } : proxy);
+    fetchFn = require('undici').fetch;
+  }
+
+  const response = await fetchFn(config.url, options);
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} ${response.statusText}`);
+  }
+
+  return {
+    url: response.url || config.url,
+    status: response.status,
+    contentType: response.headers.get('content-type') || '',
+    body: await response.text()
+  };
+}
+
+/**
+ * Build a page-like object over a fetched document so extractData works unchanged.
+ * HTML is parsed with jsdom; other content (JSON, text) is wrapped in a <pre> like
+ * the browser does, so the json extractor reads the raw body.
+ */
+function createHttpPage(response) {
+  // Loaded lazily so browser-only setups don't pay for jsdom
+  const { JSDOM } = require('jsdom');
+
+  const isHtml = /html|xml/i.test(response.contentType) ||
+    (!response.contentType && /^\s*</.test(response.body));
+
+  const dom = isHtml
+    ? new JSDOM(response.body, { url: response.url, runScripts: 'outside-only' })
+    : new JSDOM('<!DOCTYPE html><html><head></head><body><pre></pre></body></html>', { url: response.url, runScripts: 'outside-only' });
+
+  const { window } = dom;
+  const { document } = window;
+
+  if (!isHtml) {
+    document.querySelector('pre').textContent = response.body;
+  }
+
+  // jsdom has no layout, so innerText falls back to textContent
+  if (!('innerText' in window.HTMLElement.prototype)) {
+    Object.defineProperty(window.HTMLElement.prototype, 'innerText', {
+      get() { return this.textContent; }
+    });
+  }
+
+  const query = (selector) => {
+    if (selector.startsWith('xpath=')) {
+      const snapshot = document.evaluate(
+        selector.substring(6), document, null, window.XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null
+      );
+      const nodes = [];
+      for (let i = 0; i < snapshot.snapshotLength; i++) nodes.push(snapshot.snapshotItem(i));
+      return nodes;
+    }
+    return Array.from(document.querySelectorAll(selector));
+  };
+
+  const wrapElement = (el) => ({
+    textContent: async () => el.textContent,
+    getAttribute: async (name) => el.getAttribute(name),
+    innerHTML: async () => el.innerHTML
+  });
+
+  // Serialize functions into the window like Playwright does, so `document` resolves there
+  const evaluate = async (fn, arg) => {
+    if (typeof fn === 'function') {
+      return window.eval(`(${fn.toString()})(${JSON.stringify(arg)})`);
+    }
+    return window.eval(fn);
+  };
+
+  const unsupported = (feature) => async () => {
+    throw new Error(`${feature} is not supported with engine "http"`);
+  };
+
+  return {
+    isHttpPage: true,
+    url: () => response.url,
+    title: async () => document.title,
+    content: async () => response.body,
+    frames: () => [],
+    evaluate,
+    $: async (selector) => {
+      const el = query(selector)[0];
+      return el ? wrapElement(el) : null;
+    },
+    $$: async (selector) => query(selector).map(wrapElement),
+    $eval: async (selector, fn, arg) => {
+      const el = query(selector)[0];
+      if (!el) throw new Error(`No element matches selector: ${selector}`);
+      return fn(el, arg);
+    },
+    $$eval: async (selector, fn, arg) => fn(query(selector), arg),
+    waitForSelector: async (selector) => {
+      if (query(selector).length === 0) throw new Error(`No element matches selector: ${selector}`);
+    },
+    waitForTimeout: (ms) => sleep(ms),
+    screenshot: unsupported('Screenshots'),
+    locator: () => ({ screenshot: unsupported('Screenshots') }),
+    close: async () => window.close()
+  };
+}
+
+// ============================================================================
+// PAGINATION
+// ============================================================================
+
+const DEFAULT_MAX_PAGES = 10;
+
+/**
+ * Merge one page's extractor results into the listing so far. Arrays are
+ * concatenated; after an infinite-scroll step the page still holds the
+ * earlier items, so only the surplus over what was already collected is
+ * added. Other values keep the first page's result.
+ */
+function mergePageData(merged, data, unique = false) {
+  for (const [name, value] of Object.entries(data)) {
+    const previous = merged[name];
+
+    if (Array.isArray(previous) && Array.isArray(value)) {
+      if (!unique) {
+        merged[name] = [...previous, ...value];
+        continue;
+      }
+      const counts = new Map();
+      for (const item of previous) {
+        const key = JSON.stringify(item);
+        counts.set(key, (counts.get(key) || 0) + 1);
+      }
+      merged[name] = [...previous, ...value.filter(item => {
+        const key = JSON.stringify(item);
+        const remaining = counts.get(key) || 0;
+        counts.set(key, remaining - 1);
+        return remaining <= 0;
+      })];
+    } else if (previous === undefined || previous === null) {
+      merged[name] = value;
+    }
+  }
+  return merged;
+}
+
+function countItems(data) {
+  return Object.values(data).reduce((count, value) => count + (Array.isArray(value) ? value.length : 0), 0);
+}
+
+/**
+ * Load a further page by URL. Returns the page to extract from (a new one for
+ * the http engine), or null when the listing ends with a 404.
+ */
+async function openPage(page, config, url) {
+  if (page.isHttpPage) {
+    const response = await withRetry(async () => {
+      try {
+        return await fetchUrl({ ...config, url });
+      } catch (e) {
+        if (e.message.startsWith('HTTP 404')) return null;
+        throw e;
+      }
+    }, config.retries || MAX_RETRIES);
+    if (!response) return null;
+
+    await page.close();
+    return createHttpPage(response);
+  }
+
+  const response = await withRetry(() => page.goto(url, {
+    waitUntil: config.waitUntil || 'networkidle',
+    timeout: config.timeout || 60000
+  }), config.retries || MAX_RETRIES);
+  return response?.status() === 404 ? null : page;
+}
+
+/**
+ * Follow the next-page control. Links are fetched by href with the http
+ * engine and clicked in the browser (so script-driven pagers work too).
+ * Returns the page, or null when there is no usable next control.
+ */
+async function followNextPage(page, config, visited) {
+  const { nextSelector, xpath } = config.pagination;
+  const link = await page.$(xpath ? `xpath=${nextSelector}` : nextSelector);
+  if (!link) return null;
+
+  const disabled = await link.getAttribute('disabled') !== null ||
+    await link.getAttribute('aria-disabled') === 'true';
+  if (disabled || (!page.isHttpPage && !(await link.isVisible()))) return null;
+
+  const href = await link.getAttribute('href');
+  const target = href && !href.startsWith('#') && !href.startsWith('javascript:') ? new URL(href, page.url()).href : null;
+  if (target && visited.has(target)) return null;
+
+  if (page.isHttpPage) {
+    return target ? openPage(page, config, target) : null;
+  }
+
+  await link.click();
+  await page.waitForLoadState(config.waitUntil || 'networkidle', { timeout: config.timeout || 60000 }).catch(() => {});
+  return page;
+}
+
+/**
+ * Run the extractors on every page of a paginated listing (just the current
+ * page without a pagination block) and merge the results, so list
+ * comparators see the whole listing. Stops at maxPages, when there is no
+ * further page, or when a page adds no items.
+ *
+ * Returns { page, data, pages }; with the http engine `page` is the last
+ * page loaded and replaces the one passed in.
+ */
+async function extractPages(page, config, trace = null, extractorTrace = null) {
+  const pagination = config.pagination;
+  if (!pagination) {
+    const data = await extractData(page, config.extractors, null, extractorTrace);
+    return { page, data, pages: 1 };
+  }
+
+  // Pages are extracted raw and merged; transforms (sort, first, join, ...)
+  // and defaults then apply once, to the whole listing
+  const rawExtractors = config.extractors.map(({ transform, transforms, default: fallback, ...extractor }) => extractor);
+  const pageTraces = {};
+  const extractPage = async () => {
+    const pageTrace = {};
+    const pageData = await extractData(page, rawExtractors, null, pageTrace);
+    for (const [name, { error, durationMs }] of Object.entries(pageTrace)) {
+      const total = pageTraces[name] || { durationMs: 0 };
+      pageTraces[name] = { error: total.error || error, durationMs: total.durationMs + durationMs };
+    }
+    return pageData;
+  };
+  const data = await extractPage();
+
+  const maxPages = pagination.maxPages || DEFAULT_MAX_PAGES;
+  const visited = new Set([page.url()]);
+  const firstPage = pagination.start ?? 1;
+  let pages = 1;
+
+  while (pages < maxPages) {
+    const startedAt = Date.now();
+    let next = null;
+
+    switch (pagination.type) {
+      case 'next':
+        next = await followNextPage(page, config, visited);
+        break;
+
+      case 'url':
+        next = await openPage(page, config, pagination.urlTemplate.replace(/\{\{\s*page\s*\}\}/g, firstPage + pages));
+        break;
+
+      case 'scroll':
+        await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+        await page.waitForLoadState('networkidle', { timeout: config.timeout || 60000 }).catch(() => {});
+        next = page;
+        break;
+    }
+    if (!next) break;
+    page = next;
+
+    if (!page.isHttpPage) {
+      const selector = pagination.waitForSelector || config.waitForSelector;
+      if (selector) {
+        await page.waitForSelector(selector, { timeout: 30000 }).catch(() => {});
+      }
+    }
+    await page.waitForTimeout(pagination.waitMs ?? (pagination.type === 'scroll' ? 1000 : 0));
+
+    const pageData = await extractPage();
+    const before = countItems(data);
+    mergePageData(data, pageData, pagination.type === 'scroll');
+    const added = countItems(data) - before;
+
+    pages++;
+    visited.add(page.url());
+    trace?.push({ type: 'paginate', target: pagination.type === 'scroll' ? `scroll ${pages - 1}` : page.url(), status: 'ok', durationMs: Date.now() - startedAt });
+    console.log(`  Page ${pages}: ${added} new item${added !== 1 ? 's' : ''}`);
+
+    if (added === 0) break;
+  }
+
+  console.log(`  Pagination: ${pages} page${pages !== 1 ? 's' : ''}, ${countItems(data)} items`);
+
+  for (const extractor of config.extractors) {
+    const { name } = extractor;
+    const raw = data[name];
+    const { error, durationMs } = pageTraces[name] || {};
+    let failure = null;
+    try {
+      // Failed on every page that could have provided a value
+      if ((raw === null || raw === undefined) && error) throw new Error(error);
+      data[name] = applyTransforms(raw, extractor);
+    } catch (e) {
+      if (e.message !== error) console.log(`    Error extracting ${name}: ${e.message}`);
+      failure = e.message;
+      if (extractor.default !== undefined) data[name] = extractor.default;
+    }
+    if (extractorTrace) extractorTrace[name] = { raw, ...(failure && { error: failure }), value: data[name], durationMs };
+  }
+
+  return { page, data, pages };
+}
+
+// ============================================================================
+// WATCH PROCESSING
+// ============================================================================
+
+/**
+ * Load the watch URL in a fresh page and run its actions and waits, ready for
+ * extraction. Steps are appended to `trace` when given (dry runs); phase
+ * durations go in `timings` (navigation, then actions and waits).
+ */
+async function preparePage(page, config, trace = null, timings = {}) {
+  captureResponses(page, config.extractors);
+
+  if (config.blockResources) {
+    await page.route('**/*', route => {
+      const resourceType = route.request().resourceType();
+      if (config.blockResources.includes(resourceType)) {
+        route.abort();
+      } else {
+        route.continue();
+      }
+    });
+  }
+
+  let startedAt = Date.now();
+  await withRetry(async () => {
+    await page.goto(config.url, {
+      waitUntil: config.waitUntil || 'networkidle',
+      timeout: config.timeout || 60000
+    });
+  }, config.retries || MAX_RETRIES);
+  trace?.push({ type: 'goto', target: config.url, status: 'ok', durationMs: Date.now() - startedAt });
+  timings.navigation = Date.now() - startedAt;
+
+  const actionsStartedAt = Date.now();
+  const actionContext = {};
+  if (config.actions) {
+    await executeActions(page, config.actions, actionContext, trace);
+  }
+
+  if (config.waitForSelector) {
+    startedAt = Date.now();
+    const found = await page.waitForSelector(config.waitForSelector, { timeout: 30000 }).then(() => true).catch(() => false);
+    trace?.push({ type: 'waitForSelector', target: config.waitForSelector, status: found ? 'ok' : 'timeout', durationMs: Date.now() - startedAt });
+  }
+
+  if (config.waitMs) {
+    await page.waitForTimeout(config.waitMs);
+    trace?.push({ type: 'waitMs', target: null, status: 'ok', durationMs: config.waitMs });
+  }
+  timings.actions = Date.now() - actionsStartedAt;
+}
+
+async function processWatch(config) {
+  const watchId = getWatchId(config);
+  console.log(`\n[${new Date().toISOString()}] Processing: ${config.name || config.url}`);
+  publishEvent('check-started', { watchId, name: config.name || null });
+
+  const startedAt = Date.now();
+  const timings = {};
+  let context = null;
+  let page = null;
+  let result = { success: false, watchId };
+
+  try {
+    // Credentials, headers and proxies only see resolved secrets; notify()
+    // gets the unresolved config and resolves channels when sending
+    const resolved = resolveSecrets(config);
+    // Screenshots without a `path` overwrite one file per watch and extractor
+    // instead of piling up in SCREENSHOT_DIR; baselines live in VISUAL_DIR
+    const runConfig = {
+      ...resolved,
+      extractors: (resolved.extractors || []).map(extractor => extractor.type === 'screenshot' && !extractor.path
+        ? { ...extractor, path: watchPath(SCREENSHOT_DIR, watchId, `-${extractor.name}.png`) }
+        : extractor)
+    };
+
+    if (config.engine === 'http') {
+      // Plain HTTP fetch, no browser context
+      const response = await withRetry(() => fetchUrl(runConfig), config.retries || MAX_RETRIES);
+      page = createHttpPage(response);
+      timings.navigation = Date.now() - startedAt;
+    } else {
+      context = await createContext(runConfig);
+      page = await context.newPage();
+      await preparePage(page, runConfig, null, timings);
+    }
+
+    const extractionStartedAt = Date.now();
+    const extraction = await extractPages(page, runConfig);
+    timings.extraction = Date.now() - extractionStartedAt;
+    page = extraction.page;
+    const data = extraction.data;
+    console.log('  Extracted:', JSON.stringify(data));
+
+    const prevState = loadState(watchId);
+    const changes = detectChanges(data, prevState?.data, config, config.extractors);
+
+    saveState(watchId, data);
+
+    // Save session if persistent
+    if (context) {
+      await saveSession(context, runConfig);
+    }
+
+    // Reset error count on success
+    errorCounts.set(watchId, 0);
+
+    if (changes.length > 0 && prevState !== null) {
+      console.log('  Changes detected:', changes.map(c => c.name).join(', '));
+      publishEvent('change-detected', { watchId, name: config.name || null, changes: changes.map(c => c.name) });
+      await notify(config, changes, data);
+    } else if (changes.length > 0) {
+      console.log('  First run - baseline saved');
+    } else {
+      console.log('  No changes');
+    }
+
+    // State keeps the raw values to compare against; everything shown or stored is redacted
+    result = { success: true, watchId, data: redactValue(data), changes: redactValue(changes), baseline: prevState === null };
+
+  } catch (e) {
+    const errorMessage = redactSecrets(e.message);
+    console.log(`  Error: ${errorMessage}`);
+    result = { success: false, watchId, error: errorMessage };
+
+    // Increment error count
+    const currentErrors = (errorCounts.get(watchId) || 0) + 1;
+    errorCounts.set(watchId, currentErrors);
+    publishEvent('check-error', { watchId, name: config.name || null, error: errorMessage, errorCount: currentErrors });
+
+    if (page && !page.isHttpPage && config.screenshotOnError !== false) {
+      result.errorScreenshot = await saveErrorScreenshot(page, watchId, errorMessage);
+    }
+
+    saveState(watchId, null, errorMessage);
+
+    // Send error notification if threshold reached
+    if (config.notifyOnError !== false && currentErrors >= (config.errorThreshold || ERROR_NOTIFY_THRESHOLD)) {
+      console.log(`  Error threshold reached (${currentErrors}), sending notification`);
+      await notify(config, [], {}, true, errorMessage, result.errorScreenshot);
+    }
+
+  } finally {
+    if (context) {
+      await context.close();
+    }
+    if (page?.isHttpPage) {
+      await page.close();
+    }
+  }
+
+  const resultEntry = {
+    ...result,
+    timestamp: new Date().toISOString(),
+    durationMs: Date.now() - startedAt,
+    name: config.name,
+    errorCount: errorCounts.get(watchId) || 0
+  };
+
+  lastCheckResults[watchId] = resultEntry;
+  await seedWatchHistory(watchId);
+  recordCheckMetrics(config, result, { ...timings, total: resultEntry.durationMs });
+  if (!result.baseline) {
+    recordTextDiffs(watchId, result.changes, resultEntry.timestamp);
+  }
+
+  // Persist to history (baseline runs record no changes)
+  appendHistory(watchId, {
+    timestamp: resultEntry.timestamp,
+    success: result.success,
+    durationMs: resultEntry.durationMs,
+    data: result.data,
+    changes: result.baseline ? [] : (result.changes || []),
+    ...(result.baseline && { baseline: true }),
+    ...(result.error && { error: result.error }),
+    ...(result.errorScreenshot && { errorScreenshot: result.errorScreenshot })
+  });
+
+  // Add to in-memory history
+  const history = watchHistory.get(watchId);
+  history.unshift({
+    timestamp: resultEntry.timestamp,
+    success: result.success,
+    data: result.data,
+    error: result.error,
+    changes: result.changes?.length || 0
+  });
+  if (history.length > HISTORY_SIZE) {
+    history.pop();
+  }
+
+  publishEvent('check-finished', {
+    watchId,
+    name: config.name || null,
+    success: result.success,
+    durationMs: resultEntry.durationMs,
+    changes: (result.changes || []).map(c => c.name),
+    baseline: !!result.baseline,
+    errorCount: resultEntry.errorCount
+  });
+
+  return result;
+}
+
+// ============================================================================
+// DRY RUN
+// ============================================================================
+
+function imageDataUrl(filePath) {
+  return `data:image/png;base64,${fs.readFileSync(filePath).toString('base64')}`;
+}
+
+/**
+ * Run a (possibly unsaved) watch config once and report what a real run would
+ * see. Nothing is written: no state, history, sessions, visual baselines,
+ * error counts or notification throttles, and no notifications are sent.
+ */
+async function testWatch(config) {
+  const watchId = getWatchId(config);
+  const startedAt = Date.now();
+  const steps = [];
+  const extractorTrace = {};
+  let context = null;
+  let page = null;
+  const result = { watchId, engine: config.engine || 'browser', success: false, steps, extractors: [] };
+
+  console.log(`\n[${new Date().toISOString()}] Dry run: ${config.name || config.url}`);
+
+  try {
+    const resolved = resolveSecrets(config);
+    // Screenshots go to temp files, never over the file at an extractor's `path`
+    const runConfig = {
+      ...resolved,
+      extractors: (resolved.extractors || []).map(extractor => extractor.type === 'screenshot'
+        ? { ...extractor, path: path.join(os.tmpdir(), `mon-itor-dry-run-${crypto.randomBytes(8).toString('hex')}.png`) }
+        : extractor)
+    };
+
+    if (config.engine === 'http') {
+      const fetchStartedAt = Date.now();
+      const response = await withRetry(() => fetchUrl(runConfig), config.retries || MAX_RETRIES);
+      steps.push({ type: 'fetch', target: config.url, status: 'ok', durationMs: Date.now() - fetchStartedAt });
+      page = createHttpPage(response);
+    } else {
+      if (!browser) throw new Error('Browser is not running');
+      // Sessions are loaded like a real run but never saved back
+      context = await createContext(runConfig);
+      page = await context.newPage();
+      await preparePage(page, runConfig, steps);
+    }
+
+    const extraction = await extractPages(page, runConfig, steps, extractorTrace);
+    page = extraction.page;
+    const data = extraction.data;
+    const prevState = loadState(watchId);
+    const changes = detectChanges(data, prevState?.data, config, config.extractors, { dryRun: true });
+    const baseline = !prevState?.data;
+
+    result.success = true;
+    result.data = redactValue(data);
+    result.previous = redactValue(prevState?.data ?? null);
+    result.changes = redactValue(changes);
+    result.baseline = baseline;
+    result.wouldNotify = !baseline && changes.length > 0;
+    result.throttled = isThrottled(watchId);
+    result.message = redactSecrets(formatMessage(config, changes, data));
+  } catch (e) {
+    result.error = redactSecrets(e.message);
+  }
+
+  try {
+    try {
+      if (page && !page.isHttpPage) {
+        result.screenshot = `data:image/png;base64,${(await page.screenshot({ fullPage: true })).toString('base64')}`;
+      }
+    } catch (e) {
+      console.log(`  Could not take dry-run screenshot: ${e.message}`);
+    }
+
+    for (const extractor of config.extractors || []) {
+      const trace = extractorTrace[extractor.name];
+      const entry = { name: extractor.name, type: extractor.type, ...redactValue(trace) };
+      // Screenshot extractors return the temp file path; inline the image and drop the file
+      if (extractor.type === 'screenshot' && typeof trace?.raw === 'string' && fs.existsSync(trace.raw)) {
+        try {
+          entry.raw = entry.value = imageDataUrl(trace.raw);
+        } finally {
+          fs.unlinkSync(trace.raw);
+        }
+      }
+      result.extractors.push(entry);
+    }
+  } finally {
+    if (context) {
+      await context.close();
+    }
+    if (page?.isHttpPage) {
+      await page.close();
+    }
+  }
+
+  result.steps = redactValue(steps);
+  result.durationMs = Date.now() - startedAt;
+  console.log(`  Dry run ${result.success ? 'finished' : 'failed'} in ${result.durationMs}ms`);
+  return result;
+}
+
+// ============================================================================
+// JOB QUEUE
+// ============================================================================
+
+const jobQueue = [];
+const runningWatches = new Set();
+const coalescedWatches = new Set();
+const domainActive = new Map();
+const queueStats = {
+  completed: 0,
+  skipped: 0,
+  coalesced: 0,
+  lastWaitMs: 0,
+  maxWaitMs: 0,
+  totalWaitMs: 0
+};
+
+function getWatchDomain(config) {
+  try {
+    return new URL(config.url).hostname.toLowerCase();
+  } catch (e) {
+    return 'unknown';
   }
-  const state = {
-    data,
-    timestamp: new Date().toISOString(),
-    ...(error && { lastError: error })
+}
+
+function domainLimit(domain) {
+  return DOMAIN_CONCURRENCY.get(domain) || MAX_CONCURRENCY_PER_DOMAIN;
+}
+
+/**
+ * Queue a watch run. A watch never overlaps itself: if it is already queued the
+ * request is dropped, if it is running it is skipped or (overlap: "coalesce")
+ * run once more after the current check finishes. Paused watches are skipped
+ * unless `manual` is set.
+ */
+function enqueueWatch(config, options = {}) {
+  const watchId = getWatchId(config);
+
+  // Paused watches only run when triggered by hand
+  if (!options.manual && isPaused(watchId)) {
+    seedCheckResult(config);
+    console.log(`\n[${new Date().toISOString()}] Skipping ${config.name || watchId}: paused`);
+    return 'paused';
+  }
+
+  if (jobQueue.some(job => job.watchId === watchId)) {
+    queueStats.coalesced++;
+    return 'coalesced';
+  }
+
+  if (runningWatches.has(watchId)) {
+    if (options.coalesce || config.overlap === 'coalesce') {
+      coalescedWatches.add(watchId);
+      queueStats.coalesced++;
+      return 'coalesced';
+    }
+    console.log(`\n[${new Date().toISOString()}] Skipping ${config.name || watchId}: previous check still running`);
+    queueStats.skipped++;
+    return 'skipped';
+  }
+
+  jobQueue.push({ config, watchId, domain: getWatchDomain(config), enqueuedAt: Date.now() });
+  drainQueue();
+  return 'queued';
+}
+
+function drainQueue() {
+  while (runningWatches.size < MAX_CONCURRENCY) {
+    const index = jobQueue.findIndex(job =>
+      !runningWatches.has(job.watchId) &&
+      (domainActive.get(job.domain) || 0) < domainLimit(job.domain)
+    );
+    if (index === -1) return;
+
+    const [job] = jobQueue.splice(index, 1);
+    runJob(job);
+  }
+}
+
+async function runJob(job) {
+  const waitMs = Date.now() - job.enqueuedAt;
+  queueStats.lastWaitMs = waitMs;
+  queueStats.maxWaitMs = Math.max(queueStats.maxWaitMs, waitMs);
+  queueStats.totalWaitMs += waitMs;
+
+  runningWatches.add(job.watchId);
+  domainActive.set(job.domain, (domainActive.get(job.domain) || 0) + 1);
+
+  try {
+    await processWatch(job.config);
+  } catch (e) {
+    console.log(`  Unexpected error in ${job.watchId}: ${e.message}`);
+  } finally {
+    runningWatches.delete(job.watchId);
+    domainActive.set(job.domain, domainActive.get(job.domain) - 1);
+    queueStats.completed++;
+
+    if (coalescedWatches.delete(job.watchId)) {
+      enqueueWatch(job.config);
+    }
+    drainQueue();
+  }
+}
+
+function getQueueStatus() {
+  const now = Date.now();
+  return {
+    maxConcurrency: MAX_CONCURRENCY,
+    maxConcurrencyPerDomain: MAX_CONCURRENCY_PER_DOMAIN,
+    depth: jobQueue.length,
+    running: [...runningWatches],
+    oldestWaitMs: jobQueue.length ? now - Math.min(...jobQueue.map(j => j.enqueuedAt)) : 0,
+    lastWaitMs: queueStats.lastWaitMs,
+    maxWaitMs: queueStats.maxWaitMs,
+    avgWaitMs: queueStats.completed ? Math.round(queueStats.totalWaitMs / queueStats.completed) : 0,
+    completed: queueStats.completed,
+    skipped: queueStats.skipped,
+    coalesced: queueStats.coalesced
   };
-  fs.writeFileSync(
-    path.join(STATE_DIR, `${watchId}.json`),
-    JSON.stringify(state, null, 2)
-  );
 }
 
-async function saveErrorScreenshot(page, watchId, error) {
+// ============================================================================
+// TEMPLATES AND TARGETS
+// ============================================================================
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Merge for `extends`: objects are merged key by key, anything else (arrays
+ * included) is replaced by the extending config's value
+ */
+function deepMerge(base, override) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] = isPlainObject(value) && isPlainObject(base[key]) ? deepMerge(base[key], value) : value;
+  }
+  return merged;
+}
+
+/**
+ * Template configs ("template": true) in a config directory, by id
+ */
+function loadTemplates(dir = CONFIG_DIR) {
+  const templates = new Map();
+  if (!fs.existsSync(dir)) return templates;
+
+  for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.json'))) {
+    try {
+      const config = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+      if (isPlainObject(config) && config.template === true && config.id) {
+        templates.set(config.id, config);
+      }
+    } catch (e) {
+      // Reported when the file itself is loaded
+    }
+  }
+  return templates;
+}
+
+/**
+ * Resolve a config's `extends` chain. Templates can extend other templates;
+ * their own id and template flag are not inherited.
+ */
+function applyTemplate(config, templates, chain = []) {
+  if (config.extends === undefined) return config;
+
+  if (chain.includes(config.extends)) {
+    throw new Error(`extends: circular template chain ${[...chain, config.extends].join(' -> ')}`);
+  }
+  const template = templates.get(config.extends);
+  if (!template) {
+    const suggestion = didYouMean(config.extends, [...templates.keys()]);
+    throw new Error(`extends: unknown template "${config.extends}"${suggestion !== null ? ` (did you mean "${suggestion}"?)` : ''}`);
+  }
+
+  const inherited = { ...applyTemplate(template, templates, [...chain, config.extends]) };
+  delete inherited.id;
+  delete inherited.template;
+  const own = { ...config };
+  delete own.extends;
+  return deepMerge(inherited, own);
+}
+
+/**
+ * Parse CSV with a header row into one object per line (RFC 4180 quoting)
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...lines] = rows.filter(r => r.some(value => value.trim() !== ''));
+  const keys = header.map(key => key.trim());
+  return lines.map(values => Object.fromEntries(keys.map((key, i) => [key, (values[i] ?? '').trim()])));
+}
+
+/**
+ * Targets: an inline list, or a CSV file relative to the config directory
+ */
+function loadTargets(targets, dir = CONFIG_DIR) {
+  if (Array.isArray(targets)) return targets;
+
+  const file = path.resolve(dir, targets);
+  if (!fs.existsSync(file)) {
+    throw new Error(`targets: file not found: ${targets}`);
+  }
+  return parseCsv(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Replace {{key}} with the target's variables in every string of a config.
+ * Placeholders the target doesn't define (message template fields such as
+ * {{addedList}}, pagination's {{page}}) are left alone.
+ */
+function substituteVars(value, vars) {
+  if (typeof value === 'string') {
+    return value.replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (placeholder, key) =>
+      Object.prototype.hasOwnProperty.call(vars, key) ? String(vars[key]) : placeholder);
+  }
+  if (Array.isArray(value)) return value.map(item => substituteVars(item, vars));
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, substituteVars(item, vars)]));
+  }
+  return value;
+}
+
+/**
+ * Watch id for one target: stable across reordering of the target list, so
+ * each target keeps its state and history
+ */
+function targetWatchId(config, target) {
+  const suffix = target.id !== undefined && target.id !== ''
+    ? slugify(target.id)
+    : crypto.createHash('md5').update(String(target.url || JSON.stringify(target))).digest('hex').substring(0, 8);
+  return config.id ? `${config.id}-${suffix}` : suffix;
+}
+
+/**
+ * Turn a config file into the watches it defines: `extends` is resolved,
+ * then `targets` expands it into one watch per target. `url` and `name` of a
+ * target are applied directly; every target key is available as {{key}}.
+ */
+function expandConfig(config, templates = loadTemplates(), dir = CONFIG_DIR) {
+  const merged = applyTemplate(config, templates);
+  if (merged.targets === undefined) return [merged];
+
+  const { targets, ...base } = merged;
+  return loadTargets(targets, dir).map(target => {
+    const watch = substituteVars(base, target);
+    if (target.url !== undefined) watch.url = String(target.url);
+    if (target.name !== undefined) watch.name = String(target.name);
+    watch.id = targetWatchId(base, target);
+    return watch;
+  });
+}
+
+/**
+ * Validation errors for a config file as written. Templates are checked on
+ * their own (they may be partial); configs using extends/targets are checked
+ * once expanded, and errors shared by every target are reported once.
+ */
+function getConfigFileErrors(config, templates = loadTemplates(), dir = CONFIG_DIR) {
+  if (!isPlainObject(config) || (config.template !== true && config.extends === undefined && config.targets === undefined)) {
+    return getConfigErrors(config);
+  }
+
+  const errors = validateSchema(config, PARTIAL_WATCH_SCHEMA);
+  if (config.template === true) {
+    if (!config.id) errors.push('id: required for templates');
+    if (config.targets !== undefined) errors.push('targets: not allowed in templates');
+    return errors;
+  }
+  if (errors.length > 0) return errors;
+
+  let watches;
   try {
-    if (!fs.existsSync(SCREENSHOT_DIR)) {
-      fs.mkdirSync(SCREENSHOT_DIR, { recursive: true });
+    watches = expandConfig(config, templates, dir);
+  } catch (e) {
+    return [e.message];
+  }
+  if (watches.length === 0) return ['targets: no targets'];
+
+  const found = watches.map(watch => getConfigErrors(watch));
+  const shared = found[0].filter(error => found.every(list => list.includes(error)));
+  found.forEach((list, i) => {
+    list.filter(error => !shared.includes(error)).forEach(error => errors.push(`targets[${i}] (${getWatchId(watches[i])}): ${error}`));
+  });
+
+  const ids = watches.map(getWatchId);
+  ids.forEach((id, i) => {
+    if (ids.indexOf(id) !== i) errors.push(`targets[${i}]: duplicate watch id ${id} (give targets an "id")`);
+  });
+  return [...shared, ...errors];
+}
+
+// ============================================================================
+// CONFIG MANAGEMENT
+// ============================================================================
+
+function loadConfigs(options = {}) {
+  const configs = [];
+
+  if (!fs.existsSync(CONFIG_DIR)) {
+    console.log(`Config directory ${CONFIG_DIR} does not exist`);
+    return configs;
+  }
+
+  const files = fs.readdirSync(CONFIG_DIR).filter(f => f.endsWith('.json'));
+  const templates = loadTemplates();
+
+  for (const file of files) {
+    try {
+      const content = fs.readFileSync(path.join(CONFIG_DIR, file), 'utf8');
+      const config = JSON.parse(content);
+
+      // Templates only exist to be extended
+      if (!validateConfig(config, file, templates) || config.template === true) continue;
+
+      for (const watch of expandConfig(config, templates)) {
+        watch._file = file;
+        watch._hash = hashConfig(watch);
+        configs.push(watch);
+        if (!options.quiet) console.log(`Loaded config: ${watch.name || file}`);
+      }
+    } catch (e) {
+      console.log(`Error loading ${file}: ${e.message}`);
     }
-    const filename = `error-${watchId}-${Date.now()}.png`;
-    const filepath = path.join(SCREENSHOT_DIR, filename);
-    await page.screenshot({ path: filepath, fullPage: true });
-    console.log(`  Error screenshot saved: ${filename}`);
-    return filepath;
+  }
+
+  return configs;
+}
+
+function scheduleWatch(config) {
+  const watchId = getWatchId(config);
+
+  // Clear existing timer/cron
+  unscheduleWatch(watchId);
+
+  // Store config hash and file for hot reload detection
+  configHashes.set(watchId, config._hash);
+  watchFiles.set(watchId, config._file);
+
+  // Run immediately
+  enqueueWatch(config);
+
+  // Schedule based on cron or interval
+  if (config.schedule) {
+    // Cron-based scheduling: one timer per exact next fire time
+    const cron = parseCron(config.schedule);
+    const timezone = config.scheduleTimezone || null;
+
+    const armCron = (after) => {
+      const nextRun = nextCronRun(cron, after, timezone);
+      if (!nextRun) {
+        console.log(`  Cron ${config.schedule} never fires, not scheduling ${config.name || watchId}`);
+        watchSchedules.set(watchId, { type: 'cron', schedule: config.schedule, timezone, nextRun: null });
+        return;
+      }
+      watchSchedules.set(watchId, { type: 'cron', schedule: config.schedule, timezone, nextRun: nextRun.toISOString() });
+
+      // setTimeout can't wait longer than ~24.8 days; re-arm in steps
+      const delay = nextRun.getTime() - Date.now();
+      if (delay > MAX_TIMER_DELAY_MS) {
+        watchCronJobs.set(watchId, setTimeout(() => armCron(after), MAX_TIMER_DELAY_MS));
+        return;
+      }
+
+      watchCronJobs.set(watchId, setTimeout(() => {
+        if (config.enabled !== false) {
+          enqueueWatch(config);
+        }
+        armCron(new Date(Math.max(Date.now(), nextRun.getTime())));
+      }, Math.max(delay, 0)));
+    };
+
+    armCron(new Date());
+    const next = watchSchedules.get(watchId).nextRun;
+    console.log(`  Scheduled: cron ${config.schedule}${timezone ? ` (${timezone})` : ''}, next run ${next || 'never'}`);
+  } else {
+    // Interval-based scheduling
+    const interval = config.interval || DEFAULT_CHECK_INTERVAL_MS;
+    const nextRun = new Date(Date.now() + interval);
+    watchSchedules.set(watchId, { type: 'interval', interval, nextRun: nextRun.toISOString() });
+    const timer = setInterval(() => {
+      if (config.enabled !== false) {
+        watchSchedules.set(watchId, {
+          type: 'interval',
+          interval,
+          nextRun: new Date(Date.now() + interval).toISOString()
+        });
+        enqueueWatch(config);
+      }
+    }, interval);
+    watchTimers.set(watchId, timer);
+    const intervalMinutes = interval / 1000 / 60;
+    console.log(`  Scheduled: every ${intervalMinutes} minute${intervalMinutes !== 1 ? 's' : ''}`);
+  }
+}
+
+/**
+ * Stop a watch's timers and forget its schedule (deleted or disabled watch)
+ */
+function unscheduleWatch(watchId) {
+  if (watchTimers.has(watchId)) {
+    clearInterval(watchTimers.get(watchId));
+    watchTimers.delete(watchId);
+  }
+  if (watchCronJobs.has(watchId)) {
+    clearTimeout(watchCronJobs.get(watchId));
+    watchCronJobs.delete(watchId);
+  }
+  watchSchedules.delete(watchId);
+  configHashes.delete(watchId);
+}
+
+/**
+ * Drop everything kept in memory for a removed or disabled watch. With
+ * archive set its state, history and visual baselines are moved to
+ * ARCHIVE_DIR, so a watch re-added later under the same id starts fresh.
+ */
+function retireWatch(watchId, options = {}) {
+  unscheduleWatch(watchId);
+  watchFiles.delete(watchId);
+  for (let i = jobQueue.length - 1; i >= 0; i--) {
+    if (jobQueue[i].watchId === watchId) jobQueue.splice(i, 1);
+  }
+  coalescedWatches.delete(watchId);
+  delete lastCheckResults[watchId];
+  errorCounts.delete(watchId);
+  notificationTimestamps.delete(watchId);
+  watchHistory.delete(watchId);
+  lastTextDiffs.delete(watchId);
+  forgetWatchMetrics(watchId);
+
+  if (options.archive) {
+    const target = archiveWatchState(watchId);
+    if (target) console.log(`  Archived state of ${watchId} to ${target}`);
+  }
+}
+
+function archiveWatchState(watchId) {
+  const sources = [statePath(watchId), historyPath(watchId), visualDir(watchId)]
+    .filter(source => fs.existsSync(source));
+  if (sources.length === 0) return null;
+
+  const target = path.join(ARCHIVE_DIR, `${watchId}-${new Date().toISOString().replace(/[:.]/g, '-')}`);
+  fs.mkdirSync(target, { recursive: true });
+  for (const source of sources) {
+    const destination = path.join(target, path.basename(source));
+    try {
+      fs.renameSync(source, destination);
+    } catch (e) {
+      // HISTORY_DIR / VISUAL_DIR may live on another filesystem
+      if (e.code !== 'EXDEV') throw e;
+      fs.cpSync(source, destination, { recursive: true });
+      fs.rmSync(source, { recursive: true, force: true });
+    }
+  }
+  return target;
+}
+
+/**
+ * Bring the schedule in line with CONFIG_DIR: start new watches, reschedule
+ * changed ones, and stop watches that were disabled or whose file is gone.
+ * A file that is still there but no longer valid keeps its last good config
+ * running until it is fixed.
+ */
+function checkConfigChanges() {
+  const configs = loadConfigs({ quiet: true });
+  const files = new Set(fs.existsSync(CONFIG_DIR) ? fs.readdirSync(CONFIG_DIR) : []);
+  const loadedFiles = new Set(configs.map(config => config._file));
+  const loadedIds = new Set(configs.map(getWatchId));
+  const summary = { added: [], changed: [], disabled: [], removed: [], invalid: [] };
+
+  for (const config of configs) {
+    const watchId = getWatchId(config);
+    const oldHash = configHashes.get(watchId);
+
+    if (config.enabled === false) {
+      if (oldHash) {
+        console.log(`\nConfig disabled: ${config.name || watchId} - stopping`);
+        retireWatch(watchId);
+        summary.disabled.push(watchId);
+      }
+    } else if (!oldHash) {
+      console.log(`\nNew config detected: ${config.name || watchId}`);
+      scheduleWatch(config);
+      summary.added.push(watchId);
+    } else if (oldHash !== config._hash) {
+      console.log(`\nConfig changed: ${config.name || watchId} - rescheduling`);
+      scheduleWatch(config);
+      summary.changed.push(watchId);
+    }
+  }
+
+  for (const [watchId, file] of [...watchFiles]) {
+    if (loadedIds.has(watchId)) continue;
+
+    if (files.has(file) && !loadedFiles.has(file)) {
+      console.log(`\n${file} is invalid - ${watchId} keeps running with its previous config`);
+      summary.invalid.push(watchId);
+      continue;
+    }
+
+    // File deleted, or it now holds a watch with a different id
+    console.log(`\nConfig removed: ${watchId} (${file}) - stopping`);
+    retireWatch(watchId, { archive: ARCHIVE_REMOVED_STATE });
+    summary.removed.push(watchId);
+  }
+
+  const parts = Object.entries(summary)
+    .filter(([, ids]) => ids.length > 0)
+    .map(([kind, ids]) => `${ids.length} ${kind} (${ids.join(', ')})`);
+  if (parts.length > 0) {
+    console.log(`Config reload: ${parts.join(', ')}`);
+  }
+  return summary;
+}
+
+let configReloadTimer = null;
+let configPollTimer = null;
+
+function startConfigPoll(intervalMs) {
+  clearInterval(configPollTimer);
+  configPollTimer = setInterval(checkConfigChanges, intervalMs);
+}
+
+/**
+ * Hot reload: react to changes in CONFIG_DIR as they happen. Editors and
+ * atomic writes fire several events per save, so reloads are debounced.
+ * fs.watch doesn't work on every filesystem (some network and bind mounts),
+ * so a slow poll runs as well, and speeds up if the watcher can't be used.
+ */
+function watchConfigDir() {
+  startConfigPoll(CONFIG_POLL_INTERVAL_MS);
+
+  const fallBack = (reason) => {
+    console.log(`Cannot watch ${CONFIG_DIR} (${reason}), polling for config changes every 30s`);
+    startConfigPoll(Math.min(CONFIG_POLL_INTERVAL_MS, 30000));
+  };
+
+  try {
+    const watcher = fs.watch(CONFIG_DIR, (event, filename) => {
+      // Target lists can live in CSV files next to the configs
+      if (filename && !/\.(json|csv)$/.test(filename)) return;
+      clearTimeout(configReloadTimer);
+      configReloadTimer = setTimeout(checkConfigChanges, CONFIG_RELOAD_DEBOUNCE_MS);
+    });
+    watcher.on('error', e => {
+      watcher.close();
+      fallBack(e.message);
+    });
+    console.log(`Watching ${CONFIG_DIR} for config changes`);
   } catch (e) {
-    console.log(`  Could not save error screenshot: ${e.message}`);
-    return null;
+    fallBack(e.message);
   }
 }
 
 // ============================================================================
-// BROWSER CONTEXT
+// CONFIG EDITOR
 // ============================================================================
 
-async function createContext(config) {
-  const contextOptions = {
-    userAgent: config.userAgent || 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-    viewport: config.viewport || { width: 1280, height: 720 },
-    locale: config.locale || 'en-US',
-    timezoneId: config.timezone || 'America/New_York'
-  };
+/**
+ * Config as stored on disk (without the _file/_hash bookkeeping fields)
+ */
+function cleanConfig(config) {
+  return Object.fromEntries(Object.entries(config).filter(([key]) => !key.startsWith('_')));
+}
 
-  if (config.headers) {
-    contextOptions.extraHTTPHeaders = config.headers;
-  }
+/**
+ * Every JSON file in CONFIG_DIR, including invalid and disabled ones
+ */
+function listConfigFiles() {
+  if (!fs.existsSync(CONFIG_DIR)) return [];
 
-  if (config.proxy) {
-    contextOptions.proxy = typeof config.proxy === 'string'
-      ? { server: config.proxy }
-      : config.proxy;
-  }
+  const templates = loadTemplates();
+  return fs.readdirSync(CONFIG_DIR).filter(f => f.endsWith('.json')).sort().map(file => {
+    let config;
+    try {
+      config = JSON.parse(fs.readFileSync(path.join(CONFIG_DIR, file), 'utf8'));
+    } catch (e) {
+      return { file, id: file.replace(/\.json$/, ''), config: null, errors: [`Invalid JSON: ${e.message}`], watchIds: [] };
+    }
 
-  // Persistent session support
-  if (config.persistSession) {
-    const sessionPath = path.join(SESSION_DIR, config.id || 'default');
-    if (!fs.existsSync(sessionPath)) {
-      fs.mkdirSync(sessionPath, { recursive: true });
+    const errors = getConfigFileErrors(config, templates);
+    if (!isPlainObject(config)) {
+      return { file, id: file.replace(/\.json$/, ''), config: null, errors, watchIds: [] };
     }
-    contextOptions.storageState = fs.existsSync(path.join(sessionPath, 'state.json'))
-      ? path.join(sessionPath, 'state.json')
-      : undefined;
-  }
 
-  const context = await browser.newContext(contextOptions);
+    // Ids of the watches the file defines (none for templates)
+    let watchIds = [];
+    if (errors.length === 0 && config.template !== true) {
+      watchIds = expandConfig(config, templates).map(getWatchId);
+    }
+    let id = config.id || (watchIds.length === 1 ? watchIds[0] : null);
+    if (!id) {
+      id = config.url && config.targets === undefined ? getWatchId(config) : file.replace(/\.json$/, '');
+    }
+    return { file, id, config, errors, watchIds, ...(config.template === true && { template: true }) };
+  });
+}
 
-  if (config.cookies) {
-    await context.addCookies(config.cookies);
+/**
+ * Config file by its id, or by the id of one of the watches it expands to
+ */
+function findConfigFile(watchId) {
+  return listConfigFiles().find(entry => entry.id === watchId || entry.watchIds.includes(watchId)) || null;
+}
+
+function writeConfigFile(file, config) {
+  if (!fs.existsSync(CONFIG_DIR)) {
+    fs.mkdirSync(CONFIG_DIR, { recursive: true });
   }
+  // Write to a temp name loadConfigs ignores, then rename into place
+  const filePath = path.join(CONFIG_DIR, file);
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(cleanConfig(config), null, 2) + '\n');
+  fs.renameSync(tmpPath, filePath);
+}
 
-  return context;
+/**
+ * Ids double as file names, so keep them filesystem-safe
+ */
+function slugify(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z0-9._-]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 64);
 }
 
-async function saveSession(context, config) {
-  if (config.persistSession) {
-    const sessionPath = path.join(SESSION_DIR, config.id || 'default');
-    if (!fs.existsSync(sessionPath)) {
-      fs.mkdirSync(sessionPath, { recursive: true });
-    }
-    await context.storageState({ path: path.join(sessionPath, 'state.json') });
-    console.log('  Session saved');
-  }
+/**
+ * Apply a saved or deleted config right away instead of waiting for the
+ * debounced file watcher (renamed ids and disabled watches included)
+ */
+function applyConfigEdit() {
+  if (isRunning) checkConfigChanges();
 }
 
 // ============================================================================
-// WATCH PROCESSING
+// AUTHENTICATION
 // ============================================================================
 
-async function processWatch(config) {
-  const watchId = config.id || crypto.createHash('md5').update(config.url).digest('hex').substring(0, 8);
-  console.log(`\n[${new Date().toISOString()}] Processing: ${config.name || config.url}`);
+// Viewers can read everything; operators can also trigger, edit and resend
+const ROLES = ['viewer', 'operator'];
+const SESSION_COOKIE = 'monitor_session';
 
-  let context = null;
-  let page = null;
-  let result = { success: false, watchId };
+let authConfig = { enabled: false, users: new Map(), tokens: [] };
+const sessions = new Map(); // Session id -> { username, role, expiresAt }
 
-  try {
-    context = await createContext(config);
-    page = await context.newPage();
-
-    if (config.blockResources) {
-      await page.route('**/*', route => {
-        const resourceType = route.request().resourceType();
-        if (config.blockResources.includes(resourceType)) {
-          route.abort();
-        } else {
-          route.continue();
-        }
-      });
-    }
+/**
+ * Split "a:b:role" entries; the trailing role is optional (default viewer)
+ */
+function parseAuthEntries(value) {
+  // Login passwords are compared, never printed, so they aren't redacted
+  return resolveSecrets(value, { redact: false }).split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const roleAt = entry.lastIndexOf(':');
+    const role = entry.slice(roleAt + 1);
+    return ROLES.includes(role) ? { value: entry.slice(0, roleAt), role } : { value: entry, role: 'viewer' };
+  });
+}
 
-    await withRetry(async () => {
-      await page.goto(config.url, {
-        waitUntil: config.waitUntil || 'networkidle',
-        timeout: config.timeout || 60000
-      });
-    }, config.retries || MAX_RETRIES);
+/**
+ * Read AUTH_USERS ("name:password[:role],...") and API_TOKENS
+ * ("token[:role],..."). Both may use ${secret:...} references; passwords
+ * may be plain or hashes from `mon-itor hash-password`.
+ */
+function loadAuthConfig() {
+  const users = new Map();
+  for (const { value, role } of parseAuthEntries(AUTH_USERS)) {
+    const split = value.indexOf(':');
+    if (split <= 0) throw new Error(`Invalid AUTH_USERS entry for "${value.split(':')[0]}" (use name:password[:role])`);
+    users.set(value.slice(0, split), { password: value.slice(split + 1), role });
+  }
+  const tokens = parseAuthEntries(API_TOKENS).map(({ value, role }) => ({ token: value, role }));
 
-    const actionContext = {};
-    if (config.actions) {
-      await executeActions(page, config.actions, actionContext);
-    }
+  // Tokens can end up in logged URLs and headers
+  tokens.forEach(({ token }, i) => rememberSecret(token, `API_TOKENS entry ${i + 1}`));
 
-    if (config.waitForSelector) {
-      await page.waitForSelector(config.waitForSelector, { timeout: 30000 }).catch(() => {});
-    }
+  return { enabled: users.size > 0 || tokens.length > 0, users, tokens };
+}
+
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  return `scrypt$${salt}$${crypto.scryptSync(password, salt, 32).toString('hex')}`;
+}
+
+// Constant-time comparison of strings of any length
+function safeEqual(a, b) {
+  const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt] = stored.split('$');
+  return scheme === 'scrypt' && salt ? safeEqual(hashPassword(password, salt), stored) : safeEqual(password, stored);
+}
 
-    if (config.waitMs) {
-      await page.waitForTimeout(config.waitMs);
+function parseCookies(req) {
+  const cookies = {};
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const split = part.indexOf('=');
+    if (split <= 0) continue;
+    const name = part.slice(0, split).trim();
+    const value = part.slice(split + 1).trim();
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch (e) {
+      // Malformed escapes (e.g. "%") are kept as sent
+      cookies[name] = value;
     }
+  }
+  return cookies;
+}
 
-    const data = await extractData(page, config.extractors);
-    console.log('  Extracted:', JSON.stringify(data));
+function createSession(username, role) {
+  const now = Date.now();
+  for (const [id, session] of sessions) {
+    if (session.expiresAt <= now) sessions.delete(id);
+  }
+  const id = crypto.randomBytes(32).toString('hex');
+  sessions.set(id, { username, role, expiresAt: now + SESSION_TTL_MS });
+  return id;
+}
 
-    const prevState = loadState(watchId);
-    const changes = detectChanges(data, prevState?.data, config, config.extractors);
+function sessionCookie(req, id, maxAgeMs) {
+  const secure = req.socket.encrypted || req.headers['x-forwarded-proto'] === 'https';
+  return `${SESSION_COOKIE}=${id}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${Math.floor(maxAgeMs / 1000)}${secure ? '; Secure' : ''}`;
+}
 
-    saveState(watchId, data);
+function findUser(username, password) {
+  const user = authConfig.users.get(username);
+  return user && verifyPassword(password, user.password) ? { username, role: user.role } : null;
+}
 
-    // Save session if persistent
-    await saveSession(context, config);
+/**
+ * Who is making the request: a session cookie, a bearer token or HTTP Basic
+ * credentials. Everyone is an operator while authentication is off.
+ */
+function authenticate(req) {
+  if (!authConfig.enabled) return { username: null, role: 'operator', via: 'none' };
 
-    // Reset error count on success
-    errorCounts.set(watchId, 0);
+  const sessionId = parseCookies(req)[SESSION_COOKIE];
+  const session = sessionId && sessions.get(sessionId);
+  if (session && session.expiresAt > Date.now()) {
+    return { username: session.username, role: session.role, via: 'session', sessionId };
+  }
 
-    if (changes.length > 0 && prevState !== null) {
-      console.log('  Changes detected:', changes.map(c => c.name).join(', '));
-      await notify(config, changes, data);
-    } else if (changes.length > 0) {
-      console.log('  First run - baseline saved');
-    } else {
-      console.log('  No changes');
-    }
+  const [scheme, credentials] = (req.headers.authorization || '').split(' ');
+  if (/^bearer$/i.test(scheme) && credentials) {
+    const match = authConfig.tokens.find(t => safeEqual(t.token, credentials));
+    return match ? { username: null, role: match.role, via: 'token' } : null;
+  }
+  if (/^basic$/i.test(scheme) && credentials) {
+    const decoded = Buffer.from(credentials, 'base64').toString('utf8');
+    const split = decoded.indexOf(':');
+    const user = split > 0 && findUser(decoded.slice(0, split), decoded.slice(split + 1));
+    return user ? { ...user, via: 'basic' } : null;
+  }
+  return null;
+}
+
+function hasRole(user, role) {
+  return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+/**
+ * Role a route needs, or null for public routes. /health stays open for the
+ * Docker HEALTHCHECK (without watch details unless authenticated).
+ */
+function requiredRole(req, url) {
+  if (['/health', '/api/health', '/login', '/logout'].includes(url.pathname)) return null;
+  if (!['GET', 'HEAD'].includes(req.method) || url.pathname === '/editor') return 'operator';
+  return 'viewer';
+}
 
-    result = { success: true, watchId, data, changes };
+/**
+ * Requests that run code from a posted config: creating, replacing or
+ * deleting watch configs, and dry runs
+ */
+function isConfigChange(req, url) {
+  if (url.pathname === '/api/watches' || url.pathname === '/api/test') return req.method === 'POST';
+  return /^\/api\/watches\/[^/]+$/.test(url.pathname) && ['PUT', 'DELETE'].includes(req.method);
+}
 
+/**
+ * Cookies are sent with cross-site requests too, so state changes by a
+ * session must come from our own pages (SameSite=Strict aside)
+ */
+function isSameOrigin(req) {
+  const source = req.headers.origin || req.headers.referer;
+  if (!source) return true;
+  try {
+    const host = req.headers['x-forwarded-host'] || req.headers.host;
+    return new URL(source).host === host;
   } catch (e) {
-    console.log(`  Error: ${e.message}`);
-    result = { success: false, watchId, error: e.message };
+    return false;
+  }
+}
 
-    // Increment error count
-    const currentErrors = (errorCounts.get(watchId) || 0) + 1;
-    errorCounts.set(watchId, currentErrors);
+// Where to go after logging in: only local paths, never another site
+function safeRedirect(next) {
+  return typeof next === 'string' && next.startsWith('/') && !next.startsWith('//') ? next : '/';
+}
 
-    if (page && config.screenshotOnError !== false) {
-      result.errorScreenshot = await saveErrorScreenshot(page, watchId, e.message);
-    }
+function generateLoginHTML(next, error = null) {
+  const { bg, cardBg, text, border } = themeColors(false);
 
-    saveState(watchId, null, e.message);
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <title>mon-itor Login</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; margin: 0; background: ${bg}; color: ${text}; }
+    form { max-width: 320px; margin: 80px auto; padding: 24px; background: ${cardBg}; border: 1px solid ${border}; border-radius: 6px; }
+    label { display: block; margin-bottom: 12px; }
+    input { display: block; width: 100%; box-sizing: border-box; margin-top: 4px; padding: 8px; }
+    button { padding: 8px 16px; background: #4CAF50; color: white; border: none; border-radius: 4px; cursor: pointer; }
+    .error { color: #c62828; }
+  </style>
+</head>
+<body>
+  <form method="POST" action="/login">
+    <h1>🔍 mon-itor</h1>
+    ${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+    <input type="hidden" name="next" value="${escapeHtml(next)}">
+    <label>Username <input name="username" autocomplete="username" autofocus required></label>
+    <label>Password <input name="password" type="password" autocomplete="current-password" required></label>
+    <button type="submit">Log in</button>
+  </form>
+</body>
+</html>`;
+}
 
-    // Send error notification if threshold reached
-    if (config.notifyOnError !== false && currentErrors >= (config.errorThreshold || ERROR_NOTIFY_THRESHOLD)) {
-      console.log(`  Error threshold reached (${currentErrors}), sending notification`);
-      await notify(config, [], {}, true, e.message);
+/**
+ * GET/POST /login and POST /logout. Login takes a form or JSON body.
+ */
+function handleLogin(req, res, url) {
+  if (req.method === 'GET') {
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    return res.end(generateLoginHTML(safeRedirect(url.searchParams.get('next'))));
+  }
+
+  readBody(req, 64 * 1024).then(async body => {
+    const isJson = /json/i.test(req.headers['content-type'] || '');
+    const fields = isJson ? JSON.parse(body || '{}') : Object.fromEntries(new URLSearchParams(body));
+    const next = safeRedirect(fields.next);
+    const user = authConfig.enabled && findUser(String(fields.username || ''), String(fields.password || ''));
+
+    if (!user) {
+      // Slow down password guessing
+      await sleep(1000);
+      console.log(`Failed login for "${String(fields.username || '').slice(0, 64)}" from ${req.socket.remoteAddress}`);
+      if (isJson) return sendJson(res, 401, { error: 'Invalid username or password' });
+      res.writeHead(401, { 'Content-Type': 'text/html' });
+      return res.end(generateLoginHTML(next, 'Invalid username or password'));
     }
 
-  } finally {
-    if (context) {
-      await context.close();
+    const cookie = sessionCookie(req, createSession(user.username, user.role), SESSION_TTL_MS);
+    if (isJson) {
+      res.setHeader('Set-Cookie', cookie);
+      return sendJson(res, 200, { username: user.username, role: user.role });
     }
+    res.writeHead(303, { 'Set-Cookie': cookie, Location: next });
+    res.end();
+  }).catch(e => sendJson(res, e.statusCode || 400, { error: e.message }));
+}
+
+function handleLogout(req, res) {
+  const sessionId = parseCookies(req)[SESSION_COOKIE];
+  if (sessionId) sessions.delete(sessionId);
+  res.writeHead(303, { 'Set-Cookie': sessionCookie(req, '', 0), Location: '/login' });
+  res.end();
+}
+
+/**
+ * Reject a request the user may not make: browsers are sent to the login
+ * page, API clients get 401/403. Returns true when the request was handled.
+ */
+function denyRequest(req, res, url, user) {
+  const role = requiredRole(req, url);
+  if (!role) return false;
+
+  if (!authConfig.enabled && !ALLOW_UNAUTHENTICATED_EDITS && isConfigChange(req, url)) {
+    sendJson(res, 403, { error: 'Changing or testing watches through the API requires authentication (set AUTH_USERS or API_TOKENS, or ALLOW_UNAUTHENTICATED_EDITS=true)' });
+    return true;
   }
 
-  const resultEntry = {
-    ...result,
-    timestamp: new Date().toISOString(),
-    name: config.name,
-    errorCount: errorCounts.get(watchId) || 0
-  };
+  if (!user) {
+    if (req.method === 'GET' && /text\/html/.test(req.headers.accept || '')) {
+      res.writeHead(302, { Location: `/login?next=${encodeURIComponent(url.pathname + url.search)}` });
+      res.end();
+    } else {
+      res.setHeader('WWW-Authenticate', 'Bearer realm="mon-itor"');
+      sendJson(res, 401, { error: 'Authentication required' });
+    }
+    return true;
+  }
 
-  lastCheckResults[watchId] = resultEntry;
+  if (!hasRole(user, role)) {
+    sendJson(res, 403, { error: `Requires the ${role} role` });
+    return true;
+  }
 
-  // Add to history
-  if (!watchHistory.has(watchId)) {
-    watchHistory.set(watchId, []);
+  if (user.via === 'session' && role === 'operator' && !isSameOrigin(req)) {
+    sendJson(res, 403, { error: 'Cross-origin request rejected' });
+    return true;
   }
-  const history = watchHistory.get(watchId);
-  history.unshift({
-    timestamp: resultEntry.timestamp,
-    success: result.success,
-    data: result.data,
-    error: result.error,
-    changes: result.changes?.length || 0
+
+  return false;
+}
+
+// ============================================================================
+// LIVE EVENTS
+// ============================================================================
+
+const EVENT_BUFFER_SIZE = 100;
+const EVENT_HEARTBEAT_MS = 25000;
+
+const eventClients = new Set();
+const recentEvents = [];
+let lastEventId = 0;
+let eventHeartbeat = null;
+
+/**
+ * Publish a dashboard event (check-started, check-finished, change-detected,
+ * check-error, notification-sent, notification-failed, watch-updated) to
+ * every open event stream. The most recent events are kept for reconnecting clients.
+ */
+function publishEvent(type, data) {
+  const event = { id: ++lastEventId, type, timestamp: new Date().toISOString(), ...data };
+  recentEvents.push(event);
+  if (recentEvents.length > EVENT_BUFFER_SIZE) recentEvents.shift();
+  for (const res of eventClients) writeEvent(res, event);
+}
+
+function writeEvent(res, event) {
+  res.write(redactSecrets(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`));
+}
+
+/**
+ * GET /api/events: Server-Sent Events. Events after ?since= (or the
+ * Last-Event-ID an EventSource sends when reconnecting) are replayed first.
+ */
+function handleEventStream(req, res, url) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    // Stop nginx and friends from buffering the stream
+    'X-Accel-Buffering': 'no'
   });
-  if (history.length > HISTORY_SIZE) {
-    history.pop();
+  res.write('retry: 5000\n\n');
+
+  const since = parseInt(req.headers['last-event-id'] || url.searchParams.get('since'));
+  if (since >= 0) {
+    recentEvents.filter(event => event.id > since).forEach(event => writeEvent(res, event));
   }
 
-  return result;
+  eventClients.add(res);
+  if (!eventHeartbeat) {
+    // Comments keep proxies from closing idle streams
+    eventHeartbeat = setInterval(() => {
+      for (const client of eventClients) client.write(': ping\n\n');
+    }, EVENT_HEARTBEAT_MS);
+  }
+
+  req.on('close', () => {
+    eventClients.delete(res);
+    if (eventClients.size === 0) {
+      clearInterval(eventHeartbeat);
+      eventHeartbeat = null;
+    }
+  });
 }
 
 // ============================================================================
-// CONFIG MANAGEMENT
+// METRICS
 // ============================================================================
 
-function loadConfigs() {
-  const configs = [];
+// Check duration histogram buckets, in seconds
+const DURATION_BUCKETS = [0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
 
-  if (!fs.existsSync(CONFIG_DIR)) {
-    console.log(`Config directory ${CONFIG_DIR} does not exist`);
-    return configs;
-  }
+const COUNTER_HELP = {
+  web_monitor_checks_total: 'Checks run, by result',
+  web_monitor_watch_errors_total: 'Failed checks per watch',
+  web_monitor_changes_total: 'Changes detected, by extractor field',
+  web_monitor_notifications_total: 'Notification deliveries by channel and result (failed = gave up)'
+};
 
-  const files = fs.readdirSync(CONFIG_DIR).filter(f => f.endsWith('.json'));
+const metricCounters = new Map(); // "name{labels}" -> { name, labels, value }
+const durationHistograms = new Map(); // "{labels}" -> { labels, buckets, sum, count }
+const watchMetrics = new Map(); // Watch id -> { lastSuccess, lastChange, values }
 
-  for (const file of files) {
-    try {
-      const content = fs.readFileSync(path.join(CONFIG_DIR, file), 'utf8');
-      const config = JSON.parse(content);
-      config._file = file;
-      config._hash = hashConfig(config);
+/**
+ * Label values can hold any text (names, URLs): escape backslashes, quotes
+ * and newlines as the exposition format requires
+ */
+function escapeLabelValue(value) {
+  return String(value ?? '').replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
 
-      if (validateConfig(config, file)) {
-        configs.push(config);
-        console.log(`Loaded config: ${config.name || file}`);
-      }
-    } catch (e) {
-      console.log(`Error loading ${file}: ${e.message}`);
-    }
+function formatLabels(labels = {}) {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function incrementCounter(name, labels, by = 1) {
+  const key = name + formatLabels(labels);
+  const counter = metricCounters.get(key) || { name, labels, value: 0 };
+  counter.value += by;
+  metricCounters.set(key, counter);
+}
+
+function observeDuration(labels, seconds) {
+  const key = formatLabels(labels);
+  if (!durationHistograms.has(key)) {
+    durationHistograms.set(key, { labels, buckets: DURATION_BUCKETS.map(() => 0), sum: 0, count: 0 });
   }
+  const histogram = durationHistograms.get(key);
+  // Buckets are cumulative: a value counts in every bucket it fits
+  DURATION_BUCKETS.forEach((le, i) => {
+    if (seconds <= le) histogram.buckets[i]++;
+  });
+  histogram.sum += seconds;
+  histogram.count++;
+}
 
-  return configs;
+function getWatchMetrics(watchId) {
+  if (!watchMetrics.has(watchId)) {
+    watchMetrics.set(watchId, { lastSuccess: null, lastChange: null, values: {} });
+  }
+  return watchMetrics.get(watchId);
 }
 
-function scheduleWatch(config) {
-  const watchId = config.id || crypto.createHash('md5').update(config.url).digest('hex').substring(0, 8);
+/**
+ * Record a finished check: phase durations (ms), result, changed fields,
+ * timestamps and the numeric values of extractors with `metric: true`
+ */
+function recordCheckMetrics(config, result, timings) {
+  const { watchId } = result;
+  const name = config.name || watchId;
 
-  // Clear existing timer/cron
-  if (watchTimers.has(watchId)) {
-    clearInterval(watchTimers.get(watchId));
-    watchTimers.delete(watchId);
+  for (const [phase, ms] of Object.entries(timings)) {
+    observeDuration({ watch: watchId, phase }, ms / 1000);
   }
-  if (watchCronJobs.has(watchId)) {
-    clearInterval(watchCronJobs.get(watchId));
-    watchCronJobs.delete(watchId);
+  incrementCounter('web_monitor_checks_total', { watch: watchId, name, result: result.success ? 'success' : 'error' });
+  if (!result.success) {
+    incrementCounter('web_monitor_watch_errors_total', { watch: watchId, name });
+    return;
   }
 
-  // Store config hash for hot reload detection
-  configHashes.set(watchId, config._hash);
-
-  // Run immediately
-  processWatch(config);
+  const metrics = getWatchMetrics(watchId);
+  metrics.lastSuccess = Date.now() / 1000;
+  if (!result.baseline && result.changes?.length > 0) {
+    metrics.lastChange = metrics.lastSuccess;
+    for (const change of result.changes) {
+      incrementCounter('web_monitor_changes_total', { watch: watchId, name, field: change.name });
+    }
+  }
 
-  // Schedule based on cron or interval
-  if (config.schedule) {
-    // Cron-based scheduling (check every minute)
-    let lastRun = null;
-    watchSchedules.set(watchId, { type: 'cron', schedule: config.schedule });
-    const cronJob = setInterval(() => {
-      if (config.enabled !== false && shouldRunCron(config.schedule, lastRun)) {
-        lastRun = new Date().toISOString();
-        processWatch(config);
-      }
-    }, 60000);
-    watchCronJobs.set(watchId, cronJob);
-    console.log(`  Scheduled: cron ${config.schedule}`);
-  } else {
-    // Interval-based scheduling
-    const interval = config.interval || DEFAULT_CHECK_INTERVAL_MS;
-    const nextRun = new Date(Date.now() + interval);
-    watchSchedules.set(watchId, { type: 'interval', interval, nextRun: nextRun.toISOString() });
-    const timer = setInterval(() => {
-      if (config.enabled !== false) {
-        watchSchedules.set(watchId, {
-          type: 'interval',
-          interval,
-          nextRun: new Date(Date.now() + interval).toISOString()
-        });
-        processWatch(config);
-      }
-    }, interval);
-    watchTimers.set(watchId, timer);
-    const intervalMinutes = interval / 1000 / 60;
-    console.log(`  Scheduled: every ${intervalMinutes} minute${intervalMinutes !== 1 ? 's' : ''}`);
+  for (const extractor of (config.extractors || []).filter(e => e.metric)) {
+    const value = numericValue(result.data?.[extractor.name]);
+    if (value === undefined) {
+      delete metrics.values[extractor.name];
+    } else {
+      metrics.values[extractor.name] = value;
+    }
   }
 }
 
-function checkConfigChanges() {
-  const configs = loadConfigs();
+/**
+ * Timestamps from stored history, so they survive restarts
+ */
+function seedWatchMetrics(watchId, entries) {
+  const metrics = getWatchMetrics(watchId);
+  for (const entry of entries) {
+    const time = Date.parse(entry.timestamp) / 1000;
+    if (entry.success) metrics.lastSuccess = time;
+    if (entry.success && !entry.baseline && entry.changes?.length > 0) metrics.lastChange = time;
+  }
+}
 
-  for (const config of configs) {
-    const watchId = config.id || config._file;
-    const oldHash = configHashes.get(watchId);
+function forgetWatchMetrics(watchId) {
+  for (const [key, counter] of metricCounters) {
+    if (counter.labels.watch === watchId) metricCounters.delete(key);
+  }
+  for (const [key, histogram] of durationHistograms) {
+    if (histogram.labels.watch === watchId) durationHistograms.delete(key);
+  }
+  watchMetrics.delete(watchId);
+}
 
-    if (!oldHash) {
-      // New config
-      if (config.enabled !== false) {
-        console.log(`\nNew config detected: ${config.name}`);
-        scheduleWatch(config);
-      }
-    } else if (oldHash !== config._hash) {
-      // Config changed - reschedule
-      console.log(`\nConfig changed: ${config.name} - rescheduling`);
-      scheduleWatch(config);
+/**
+ * Prometheus text exposition for /metrics
+ */
+function renderMetrics() {
+  const lines = [];
+  const family = (name, type, help, samples) => {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for (const [labels, value] of samples) {
+      lines.push(`${name}${formatLabels(labels)} ${value}`);
     }
+  };
+  const results = Object.entries(lastCheckResults);
+  const nameOf = (id) => lastCheckResults[id]?.name || id;
+
+  family('web_monitor_up', 'gauge', 'Whether the web monitor is running', [[{}, isRunning ? 1 : 0]]);
+  family('web_monitor_uptime_seconds', 'counter', 'Uptime in seconds', [[{}, Math.floor(process.uptime())]]);
+  family('web_monitor_watch_success', 'gauge', 'Whether the last check succeeded',
+    results.map(([id, result]) => [{ watch: id, name: result.name || id }, result.success ? 1 : 0]));
+  family('web_monitor_watch_consecutive_errors', 'gauge', 'Failed checks in a row (resets on success)',
+    [...errorCounts.entries()].map(([id, count]) => [{ watch: id, name: nameOf(id) }, count]));
+  family('web_monitor_watch_paused', 'gauge', 'Whether scheduled checks of the watch are paused',
+    results.map(([id]) => [{ watch: id, name: nameOf(id) }, isPaused(id) ? 1 : 0]));
+  family('web_monitor_watch_snoozed', 'gauge', 'Whether notifications of the watch are snoozed',
+    results.map(([id]) => [{ watch: id, name: nameOf(id) }, isSnoozed(id) ? 1 : 0]));
+
+  for (const [name, help] of Object.entries(COUNTER_HELP)) {
+    family(name, 'counter', help, [...metricCounters.values()].filter(c => c.name === name).map(c => [c.labels, c.value]));
   }
+
+  const histogramName = 'web_monitor_check_duration_seconds';
+  lines.push(`# HELP ${histogramName} Check duration by phase (navigation, actions, extraction, total)`, `# TYPE ${histogramName} histogram`);
+  for (const { labels, buckets, sum, count } of durationHistograms.values()) {
+    DURATION_BUCKETS.forEach((le, i) => lines.push(`${histogramName}_bucket${formatLabels({ ...labels, le })} ${buckets[i]}`));
+    lines.push(`${histogramName}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+    lines.push(`${histogramName}_sum${formatLabels(labels)} ${sum}`);
+    lines.push(`${histogramName}_count${formatLabels(labels)} ${count}`);
+  }
+
+  const tracked = [...watchMetrics.entries()];
+  family('web_monitor_watch_last_success_timestamp_seconds', 'gauge', 'Unix time of the last successful check',
+    tracked.filter(([, m]) => m.lastSuccess).map(([id, m]) => [{ watch: id, name: nameOf(id) }, m.lastSuccess]));
+  family('web_monitor_watch_last_change_timestamp_seconds', 'gauge', 'Unix time of the last check that detected a change',
+    tracked.filter(([, m]) => m.lastChange).map(([id, m]) => [{ watch: id, name: nameOf(id) }, m.lastChange]));
+  family('web_monitor_extractor_value', 'gauge', 'Latest numeric value of extractors with "metric": true',
+    tracked.flatMap(([id, m]) => Object.entries(m.values).map(([extractor, value]) => [{ watch: id, name: nameOf(id), extractor }, value])));
+
+  const queue = getQueueStatus();
+  family('web_monitor_queue_depth', 'gauge', 'Checks waiting in the queue', [[{}, queue.depth]]);
+  family('web_monitor_queue_running', 'gauge', 'Checks currently running', [[{}, queue.running.length]]);
+  family('web_monitor_queue_oldest_wait_seconds', 'gauge', 'Wait time of the oldest queued check', [[{}, queue.oldestWaitMs / 1000]]);
+  family('web_monitor_queue_wait_seconds_total', 'counter', 'Total time checks spent waiting in the queue', [[{}, queueStats.totalWaitMs / 1000]]);
+  family('web_monitor_queue_completed_total', 'counter', 'Checks completed by the queue', [[{}, queue.completed]]);
+  family('web_monitor_queue_skipped_total', 'counter', 'Runs skipped because the watch was still running', [[{}, queue.skipped]]);
+
+  const deliveries = getOutboxStatus();
+  family('web_monitor_notifications_pending', 'gauge', 'Notification deliveries waiting to be (re)tried',
+    [[{}, deliveries.filter(d => d.status === 'pending').length]]);
+  family('web_monitor_notifications_failed', 'gauge', 'Notification deliveries that gave up (dead letters)',
+    [[{}, deliveries.filter(d => d.status === 'failed').length]]);
+
+  const memory = process.memoryUsage();
+  family('web_monitor_browser_connected', 'gauge', 'Whether the shared browser is connected', [[{}, browser?.isConnected() ? 1 : 0]]);
+  family('web_monitor_browser_contexts', 'gauge', 'Open browser contexts (one per running browser check)', [[{}, browser?.isConnected() ? browser.contexts().length : 0]]);
+  family('web_monitor_event_clients', 'gauge', 'Open dashboard event streams', [[{}, eventClients.size]]);
+  family('web_monitor_process_resident_memory_bytes', 'gauge', 'Resident memory of the monitor process', [[{}, memory.rss]]);
+  family('web_monitor_process_heap_used_bytes', 'gauge', 'V8 heap in use', [[{}, memory.heapUsed]]);
+  family('web_monitor_process_heap_total_bytes', 'gauge', 'V8 heap allocated', [[{}, memory.heapTotal]]);
+
+  return lines.join('\n') + '\n';
 }
 
 // ============================================================================
@@ -1431,16 +5981,28 @@ function checkConfigChanges() {
 function formatNextRun(watchId) {
   const schedule = watchSchedules.get(watchId);
   if (!schedule) return '-';
-  if (schedule.type === 'cron') return `cron: ${schedule.schedule}`;
-  if (schedule.nextRun) {
-    const next = new Date(schedule.nextRun);
-    const diff = next - Date.now();
-    if (diff < 0) return 'soon';
-    const mins = Math.floor(diff / 60000);
+  if (!schedule.nextRun) return schedule.type === 'cron' ? `cron: ${schedule.schedule} (never)` : '-';
+
+  const next = new Date(schedule.nextRun);
+  const diff = next - Date.now();
+  let countdown;
+  if (diff < 0) {
+    countdown = 'soon';
+  } else {
+    const days = Math.floor(diff / 86400000);
+    const hours = Math.floor((diff % 86400000) / 3600000);
+    const mins = Math.floor((diff % 3600000) / 60000);
     const secs = Math.floor((diff % 60000) / 1000);
-    return mins > 0 ? `${mins}m ${secs}s` : `${secs}s`;
+    countdown = days > 0 ? `${days}d ${hours}h` :
+                hours > 0 ? `${hours}h ${mins}m` :
+                mins > 0 ? `${mins}m ${secs}s` : `${secs}s`;
+  }
+
+  if (schedule.type === 'cron') {
+    const at = next.toLocaleString('en-US', schedule.timezone ? { timeZone: schedule.timezone } : {});
+    return `<span title="cron: ${escapeHtml(schedule.schedule)}${schedule.timezone ? ' ' + escapeHtml(schedule.timezone) : ''}">${countdown}<br><small>${at}</small></span>`;
   }
-  return '-';
+  return countdown;
 }
 
 function formatData(data) {
@@ -1451,49 +6013,105 @@ function formatData(data) {
     const val = Array.isArray(v) ? (v.length > 3 ? `[${v.slice(0,3).join(', ')}... +${v.length-3}]` : `[${v.join(', ')}]`) :
                 typeof v === 'object' ? JSON.stringify(v).substring(0, 50) :
                 String(v).substring(0, 50);
-    return `<b>${k}:</b> ${val}`;
+    return `<b>${escapeHtml(k)}:</b> ${escapeHtml(val)}`;
   }).join('<br>');
 }
 
-function generateDashboardHTML(darkMode = false) {
+function themeColors(darkMode) {
+  return {
+    bg: darkMode ? '#1a1a2e' : '#f5f5f5',
+    cardBg: darkMode ? '#16213e' : 'white',
+    text: darkMode ? '#eee' : '#333',
+    textMuted: darkMode ? '#aaa' : '#666',
+    tableBg: darkMode ? '#0f3460' : '#333',
+    rowHover: darkMode ? '#1a1a40' : '#f5f5f5',
+    border: darkMode ? '#0f3460' : '#ddd'
+  };
+}
+
+function generateDashboardHTML(darkMode = false, user = { username: null, role: 'operator' }) {
+  // Viewers get the same page without the buttons they aren't allowed to use
+  const canOperate = hasRole(user, 'operator');
   const watches = Object.values(lastCheckResults);
   const watchRows = watches.map(w => {
     const history = watchHistory.get(w.watchId) || [];
     const historyDots = history.slice(0, 10).map(h =>
-      `<span class="dot ${h.success ? 'success' : 'fail'}" title="${h.timestamp}${h.error ? ': ' + h.error : ''}"></span>`
+      `<span class="dot ${h.success ? 'success' : 'fail'}" title="${escapeHtml(h.timestamp)}${h.error ? ': ' + escapeHtml(h.error) : ''}"></span>`
+    ).join('');
+
+    const visualDiffs = [...new Set(
+      listVisualDiffs(w.watchId).map(f => f.replace(/-diff-\d+\.png$/, ''))
+    )].map(name => {
+      const file = listVisualDiffs(w.watchId, name)[0];
+      const href = `/visual/${encodeURIComponent(w.watchId)}/${encodeURIComponent(file)}`;
+      return `<a href="${href}" target="_blank" title="${escapeHtml(name)}: latest visual diff"><img class="thumb" src="${href}"></a>`;
+    }).join('');
+
+    const textDiffs = Object.entries(lastTextDiffs.get(w.watchId) || {}).map(([name, diff]) =>
+      `<details class="text-diff"><summary>${escapeHtml(name)} changed ${new Date(diff.timestamp).toLocaleString()}</summary>` +
+      `<pre>${renderTextDiffHtml(diff.words)}</pre></details>`
     ).join('');
 
+    const control = getWatchControl(w.watchId);
+    const badges = (control.paused ? '<span title="Paused: scheduled checks are skipped">⏸</span>' : '') +
+      (control.snoozedUntil ? `<span title="Notifications snoozed until ${new Date(control.snoozedUntil).toLocaleString()}">💤</span>` : '');
+    const id = escapeHtml(JSON.stringify(w.watchId));
+    const controls = [
+      control.paused
+        ? `<button class="run-btn small" onclick="watchControl(${id}, 'resume')">▶ Resume</button>`
+        : `<button class="run-btn small secondary" onclick="watchControl(${id}, 'pause')">⏸ Pause</button>`,
+      control.snoozedUntil
+        ? `<button class="run-btn small" onclick="watchControl(${id}, 'unsnooze')">🔔 Unsnooze</button>`
+        : `<button class="run-btn small secondary" onclick="snoozeWatch(${id})">💤 Snooze</button>`,
+      `<button class="run-btn small secondary" onclick="resetBaseline(${id})">↺ Baseline</button>`,
+      w.errorCount > 0 ? `<button class="run-btn small secondary" onclick="watchControl(${id}, 'clear-errors')">✕ Errors (${w.errorCount})</button>` : ''
+    ].join('');
+
     return `
-    <tr class="${w.success ? '' : 'error'}">
+    <tr class="${w.success ? '' : 'error'}" data-watch="${escapeHtml(w.watchId)}">
       <td>
-        <strong>${w.name || w.watchId}</strong>
+        <a href="/watch/${encodeURIComponent(w.watchId)}${darkMode ? '?dark=1' : ''}"><strong>${escapeHtml(w.name || w.watchId)}</strong></a>
         <div class="history">${historyDots}</div>
       </td>
-      <td>${w.success ? '✅' : '❌'}</td>
+      <td><span class="status-cell">${w.success ? '✅' : '❌'}</span>${badges}</td>
       <td>${w.timestamp ? new Date(w.timestamp).toLocaleString() : '-'}</td>
       <td>${formatNextRun(w.watchId)}</td>
-      <td class="data-cell">${formatData(w.data)}</td>
-      <td>${w.error || '-'}</td>
-      <td>
-        <button class="run-btn" onclick="triggerWatch('${w.watchId}')">▶ Run</button>
+      <td class="data-cell">${formatData(w.data)}${visualDiffs ? `<div>${visualDiffs}</div>` : ''}${textDiffs}</td>
+      <td>${escapeHtml(w.error || '-')}</td>
+      <td>${canOperate ? `
+        <button class="run-btn" onclick="triggerWatch(${id})">▶ Run</button>
+        <a href="/editor?id=${encodeURIComponent(w.watchId)}${darkMode ? '&dark=1' : ''}"><button class="run-btn edit-btn">✏️ Edit</button></a>
+        <div class="controls">${controls}</div>` : '-'}
+      </td>
+    </tr>`;
+  }).join('');
+
+  const deliveries = getOutboxStatus();
+  const deliveryRows = deliveries.map(d => {
+    const id = escapeHtml(JSON.stringify(d.id));
+    return `
+    <tr class="${d.status === 'failed' ? 'error' : ''}">
+      <td>${escapeHtml(d.watchName || d.watchId || '-')}</td>
+      <td>${escapeHtml(d.channel)}</td>
+      <td>${d.status === 'failed' ? '❌ failed' : '⏳ pending'}</td>
+      <td>${d.attempts}</td>
+      <td>${new Date(d.createdAt).toLocaleString()}</td>
+      <td>${d.nextAttemptAt ? new Date(d.nextAttemptAt).toLocaleString() : '-'}</td>
+      <td>${escapeHtml(d.lastError || '-')}</td>
+      <td>${canOperate ? `
+        <button class="run-btn" onclick="deliveryAction(${id}, 'resend')">↻ Resend</button>
+        <button class="run-btn dismiss-btn" onclick="deliveryAction(${id}, 'dismiss')">✕</button>` : '-'}
       </td>
     </tr>`;
   }).join('');
 
-  const bg = darkMode ? '#1a1a2e' : '#f5f5f5';
-  const cardBg = darkMode ? '#16213e' : 'white';
-  const text = darkMode ? '#eee' : '#333';
-  const textMuted = darkMode ? '#aaa' : '#666';
-  const tableBg = darkMode ? '#0f3460' : '#333';
-  const rowHover = darkMode ? '#1a1a40' : '#f5f5f5';
-  const border = darkMode ? '#0f3460' : '#ddd';
+  const { bg, cardBg, text, textMuted, tableBg, rowHover, border } = themeColors(darkMode);
 
   return `<!DOCTYPE html>
 <html>
 <head>
   <meta charset="UTF-8">
   <title>mon-itor Dashboard</title>
-  <meta http-equiv="refresh" content="30">
   <style>
     body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; margin: 20px; background: ${bg}; color: ${text}; }
     h1 { color: ${text}; }
@@ -1511,23 +6129,44 @@ function generateDashboardHTML(darkMode = false) {
     .run-btn { padding: 5px 12px; background: #4CAF50; color: white; border: none; border-radius: 4px; cursor: pointer; }
     .run-btn:hover { background: #45a049; }
     .run-btn:disabled { background: #ccc; cursor: not-allowed; }
+    .dismiss-btn { background: #999; }
+    .edit-btn { background: #607d8b; }
+    .run-btn.small { padding: 3px 8px; font-size: 12px; }
+    .run-btn.secondary { background: #78909c; }
+    .controls { margin-top: 6px; display: flex; flex-wrap: wrap; gap: 4px; }
     .dark-toggle { padding: 8px 16px; background: ${darkMode ? '#fff' : '#333'}; color: ${darkMode ? '#333' : '#fff'}; border: none; border-radius: 4px; cursor: pointer; }
     .history { margin-top: 4px; }
     .dot { display: inline-block; width: 8px; height: 8px; border-radius: 50%; margin-right: 2px; }
     .dot.success { background: #4CAF50; }
     .dot.fail { background: #f44336; }
+    .text-diff pre { white-space: pre-wrap; max-height: 300px; overflow: auto; font-size: 12px; }
+    .text-diff ins { background: #c8f7c5; color: #155724; text-decoration: none; }
+    .text-diff del { background: #f8d7da; color: #721c24; }
+    .text-diff .skip { color: ${textMuted}; }
+    .thumb { max-width: 120px; max-height: 80px; margin: 4px 4px 0 0; border: 1px solid ${border}; }
     .toast { position: fixed; bottom: 20px; right: 20px; padding: 12px 24px; background: #333; color: white; border-radius: 4px; display: none; }
+    .live { font-size: 13px; color: ${textMuted}; margin-right: 8px; }
+    .live.connected { color: #4CAF50; }
+    .activity { list-style: none; padding: 0; margin: 0; max-height: 260px; overflow: auto; background: ${cardBg}; border: 1px solid ${border}; font-size: 13px; }
+    .activity li { padding: 6px 12px; border-bottom: 1px solid ${border}; }
+    .activity time { color: ${textMuted}; margin-right: 8px; }
   </style>
 </head>
 <body>
   <div class="header">
     <h1>🔍 mon-itor Dashboard</h1>
-    <a href="?dark=${darkMode ? '0' : '1'}"><button class="dark-toggle">${darkMode ? '☀️ Light' : '🌙 Dark'}</button></a>
+    <div>
+      <span id="live" class="live">○ connecting</span>
+      ${user.username ? `<span class="uptime">👤 ${escapeHtml(user.username)} (${user.role})</span>` : ''}
+      ${canOperate ? `<a href="/editor${darkMode ? '?dark=1' : ''}"><button class="dark-toggle">✏️ Editor</button></a>` : ''}
+      <a href="?dark=${darkMode ? '0' : '1'}"><button class="dark-toggle">${darkMode ? '☀️ Light' : '🌙 Dark'}</button></a>
+      ${user.via === 'session' ? '<form method="POST" action="/logout" style="display: inline"><button class="dark-toggle">Log out</button></form>' : ''}
+    </div>
   </div>
-  <div class="status ${isRunning ? 'healthy' : 'unhealthy'}">
+  <div id="status" class="status ${isRunning ? 'healthy' : 'unhealthy'}">
     Status: ${isRunning ? 'Running' : 'Starting'}
   </div>
-  <p class="uptime">Uptime: ${Math.floor(process.uptime() / 60)} minutes | Last refresh: ${new Date().toLocaleString()}</p>
+  <p id="uptime" class="uptime">Uptime: ${Math.floor(process.uptime() / 60)} minutes | Last refresh: ${new Date().toLocaleString()}</p>
 
   <table>
     <thead>
@@ -1541,45 +6180,1020 @@ function generateDashboardHTML(darkMode = false) {
         <th>Action</th>
       </tr>
     </thead>
+    <tbody id="watches">
+      ${watchRows || '<tr class="empty"><td colspan="7">No watches configured</td></tr>'}
+    </tbody>
+  </table>
+
+  <div id="deliveries">${deliveryRows ? `
+  <h2>Notification Deliveries</h2>
+  <table>
+    <thead>
+      <tr>
+        <th>Watch</th>
+        <th>Channel</th>
+        <th>Status</th>
+        <th>Attempts</th>
+        <th>Created</th>
+        <th>Next Attempt</th>
+        <th>Last Error</th>
+        <th>Action</th>
+      </tr>
+    </thead>
     <tbody>
-      ${watchRows || '<tr><td colspan="7">No watches configured</td></tr>'}
+      ${deliveryRows}
     </tbody>
+  </table>` : ''}</div>
+
+  <h2>Activity</h2>
+  <ul id="activity" class="activity"></ul>
+
+  <div id="toast" class="toast"></div>
+
+  <script>
+    // Rows, deliveries and the activity log update in place from /api/events
+    const RECENT_EVENTS = ${JSON.stringify(recentEvents.slice(-50)).replace(/</g, '\\u003c')};
+    const EVENT_TYPES = ['check-started', 'check-finished', 'change-detected', 'check-error', 'notification-sent', 'notification-failed', 'watch-updated'];
+    const CONTROL_LABELS = {
+      pause: 'paused', resume: 'resumed', snooze: 'notifications snoozed', unsnooze: 'notifications unsnoozed',
+      'reset-baseline': 'baseline reset', 'clear-errors': 'error count cleared'
+    };
+    let pendingRows = new Set();
+    let refreshTimer = null;
+
+    function describeEvent(e) {
+      const name = e.name || e.watchId;
+      switch (e.type) {
+        case 'check-started': return '▶ ' + name + ': check started';
+        case 'check-finished':
+          return (e.success ? '✅ ' : '❌ ') + name + ': ' +
+            (!e.success ? 'check failed' : e.baseline ? 'baseline saved' : e.changes.length ? 'changed (' + e.changes.join(', ') + ')' : 'no changes') +
+            ' in ' + (e.durationMs / 1000).toFixed(1) + 's';
+        case 'change-detected': return '🔔 ' + name + ': ' + e.changes.join(', ') + ' changed';
+        case 'check-error': return '⚠️ ' + name + ': ' + e.error + (e.errorCount > 1 ? ' (' + e.errorCount + ' in a row)' : '');
+        case 'notification-sent': return '📨 ' + name + ': notification sent via ' + e.channel;
+        case 'notification-failed': return '📭 ' + name + ': ' + e.channel + ' delivery failed: ' + e.error;
+        case 'watch-updated':
+          return '⚙️ ' + name + ': ' + (CONTROL_LABELS[e.action] || e.action) +
+            (e.action === 'snooze' ? ' until ' + new Date(e.snoozedUntil).toLocaleString() : '');
+        default: return e.type + ' ' + name;
+      }
+    }
+
+    function logActivity(e) {
+      const item = document.createElement('li');
+      const time = document.createElement('time');
+      time.textContent = new Date(e.timestamp).toLocaleTimeString();
+      item.append(time, describeEvent(e));
+      const list = document.getElementById('activity');
+      list.prepend(item);
+      while (list.children.length > 50) list.lastChild.remove();
+    }
+
+    function markRunning(id) {
+      const row = document.querySelector('tr[data-watch="' + CSS.escape(id) + '"]');
+      if (row) row.querySelector('.status-cell').textContent = '⏳';
+    }
+
+    // Re-render changed rows and the deliveries table from a fresh copy of this page
+    function scheduleRefresh(id) {
+      if (id) pendingRows.add(id);
+      clearTimeout(refreshTimer);
+      refreshTimer = setTimeout(refreshPage, 300);
+    }
+
+    async function refreshPage() {
+      const ids = [...pendingRows];
+      pendingRows = new Set();
+      const html = await (await fetch(location.href)).text();
+      const fresh = new DOMParser().parseFromString(html, 'text/html');
+      for (const id of ids) {
+        const selector = 'tr[data-watch="' + CSS.escape(id) + '"]';
+        const row = fresh.querySelector(selector);
+        const current = document.querySelector(selector);
+        if (!row) continue;
+        if (current) {
+          current.replaceWith(row);
+        } else {
+          document.querySelector('#watches .empty')?.remove();
+          document.getElementById('watches').append(row);
+        }
+      }
+      for (const id of ['deliveries', 'status', 'uptime']) {
+        document.getElementById(id).replaceWith(fresh.getElementById(id));
+      }
+    }
+
+    function connectEvents() {
+      const live = document.getElementById('live');
+      const lastId = RECENT_EVENTS.length ? RECENT_EVENTS[RECENT_EVENTS.length - 1].id : ${lastEventId};
+      const source = new EventSource('/api/events?since=' + lastId);
+      source.onopen = () => { live.textContent = '● live'; live.className = 'live connected'; };
+      source.onerror = () => { live.textContent = '○ reconnecting'; live.className = 'live'; };
+      for (const type of EVENT_TYPES) {
+        source.addEventListener(type, message => {
+          const e = JSON.parse(message.data);
+          logActivity(e);
+          if (e.type === 'check-started') markRunning(e.watchId);
+          if (e.type === 'check-finished' || e.type === 'watch-updated') scheduleRefresh(e.watchId);
+          if (e.type.startsWith('notification-')) scheduleRefresh();
+        });
+      }
+    }
+
+    RECENT_EVENTS.forEach(logActivity);
+    connectEvents();
+
+    async function triggerWatch(id) {
+      const btn = event.target;
+      btn.disabled = true;
+      btn.textContent = '⏳';
+      try {
+        // The row is re-rendered (button included) when the check finishes
+        const res = await fetch('/api/trigger?id=' + encodeURIComponent(id), { method: 'POST' });
+        const data = await res.json();
+        if (data.status !== 'triggered') throw new Error(data.error);
+        showToast(data.queued === 'coalesced' ? 'Already queued, runs once more' : 'Watch triggered!');
+      } catch (e) {
+        showToast('Error: ' + e.message);
+        btn.disabled = false;
+        btn.textContent = '▶ Run';
+      }
+    }
+    async function watchControl(id, action, body) {
+      try {
+        const res = await fetch('/api/watches/' + encodeURIComponent(id) + '/' + action, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(body || {})
+        });
+        const data = await res.json();
+        showToast(data.error ? 'Error: ' + data.error : (data.watchId + ': ' + (CONTROL_LABELS[action] || action)));
+        scheduleRefresh(id);
+      } catch (e) {
+        showToast('Error: ' + e.message);
+      }
+    }
+    function snoozeWatch(id) {
+      const hours = parseFloat(prompt('Snooze notifications for how many hours?', '4'));
+      if (hours > 0) watchControl(id, 'snooze', { minutes: hours * 60 });
+    }
+    function resetBaseline(id) {
+      if (confirm('Forget the saved state of ' + id + ' and save the next check as its new baseline?')) {
+        watchControl(id, 'reset-baseline');
+      }
+    }
+    async function deliveryAction(id, action) {
+      const btn = event.target;
+      btn.disabled = true;
+      try {
+        const res = action === 'resend'
+          ? await fetch('/api/notifications/' + encodeURIComponent(id) + '/resend', { method: 'POST' })
+          : await fetch('/api/notifications/' + encodeURIComponent(id), { method: 'DELETE' });
+        const data = await res.json();
+        showToast(data.error ? 'Error: ' + data.error : action === 'resend' ? 'Delivery ' + data.delivery.status : 'Dismissed');
+        scheduleRefresh();
+      } catch (e) {
+        showToast('Error: ' + e.message);
+        btn.disabled = false;
+      }
+    }
+    function showToast(msg) {
+      const toast = document.getElementById('toast');
+      toast.textContent = msg;
+      toast.style.display = 'block';
+      setTimeout(() => toast.style.display = 'none', 3000);
+    }
+  </script>
+</body>
+</html>`;
+}
+
+// Chart points: plain numbers, or single-number arrays (e.g. a text extractor + parseNumber)
+function numericValue(value) {
+  if (Array.isArray(value) && value.length === 1) value = value[0];
+  return typeof value === 'number' && Number.isFinite(value) ? value : undefined;
+}
+
+/**
+ * Inline SVG line chart of [{ timestamp, value }] (oldest first)
+ */
+function renderLineChart(points, { width = 640, height = 160, color = '#4CAF50', textColor = '#666' } = {}) {
+  const pad = 30;
+  const values = points.map(p => p.value);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const x = (i) => pad + (points.length > 1 ? i * (width - 2 * pad) / (points.length - 1) : (width - 2 * pad) / 2);
+  const y = (v) => max === min ? height / 2 : height - pad - (v - min) * (height - 2 * pad) / (max - min);
+
+  const line = points.map((p, i) => `${x(i).toFixed(1)},${y(p.value).toFixed(1)}`).join(' ');
+  const dots = points.map((p, i) =>
+    `<circle cx="${x(i).toFixed(1)}" cy="${y(p.value).toFixed(1)}" r="3" fill="${color}"><title>${escapeHtml(new Date(p.timestamp).toLocaleString())}: ${p.value}</title></circle>`
+  ).join('');
+
+  return `<svg class="chart" viewBox="0 0 ${width} ${height}" width="100%" preserveAspectRatio="none">
+    <text x="2" y="${pad - 8}" fill="${textColor}" font-size="11">${max}</text>
+    <text x="2" y="${height - 8}" fill="${textColor}" font-size="11">${min}</text>
+    <polyline points="${line}" fill="none" stroke="${color}" stroke-width="2"/>
+    ${dots}
+  </svg>`;
+}
+
+function renderJson(value) {
+  return `<pre class="json">${escapeHtml(value === undefined ? '-' : JSON.stringify(value, null, 2))}</pre>`;
+}
+
+/**
+ * Before/after view of one detected change
+ */
+function renderChangeDetail(watchId, change) {
+  const details = change.details || {};
+  let extra = '';
+  if (Array.isArray(details.words)) {
+    extra = `<pre class="text-diff">${renderTextDiffHtml(details.words)}</pre>`;
+  } else if (details.diffImage && fs.existsSync(details.diffImage)) {
+    const href = `/visual/${encodeURIComponent(watchId)}/${encodeURIComponent(path.basename(details.diffImage))}`;
+    extra = `<a href="${href}" target="_blank"><img class="thumb" src="${href}"></a>`;
+  } else if (details.added || details.removed || details.modified) {
+    extra = renderJson({ added: details.added, removed: details.removed, modified: details.modified });
+  }
+
+  return `<div class="change">
+    <h4>${escapeHtml(change.name)} <span class="muted">(${escapeHtml(change.comparator || 'hash')})</span></h4>
+    <div class="before-after">
+      <div><span class="muted">Before</span>${renderJson(change.previous)}</div>
+      <div><span class="muted">After</span>${renderJson(change.current)}</div>
+    </div>
+    ${extra}
+  </div>`;
+}
+
+/**
+ * Detail page for one watch: config summary, value charts, check timeline,
+ * the full data and changes of a selected check, and error screenshots
+ */
+async function generateWatchHTML(watchId, options = {}) {
+  const { darkMode = false, user = { username: null, role: 'operator' }, check = null, offset = 0, limit = 50 } = options;
+  const { bg, cardBg, text, textMuted, tableBg, rowHover, border } = themeColors(darkMode);
+
+  const entry = findConfigFile(watchId);
+  const config = entry?.errors.length === 0 && entry.config.template !== true
+    ? expandConfig(entry.config).find(w => getWatchId(w) === watchId) || entry.config
+    : entry?.config || null;
+  const history = await readHistory(watchId);
+  if (!config && history.length === 0) return null;
+
+  const last = lastCheckResults[watchId];
+  const control = getWatchControl(watchId);
+  const name = config?.name || last?.name || watchId;
+  const newestFirst = [...history].reverse();
+  const timeline = newestFirst.slice(offset, offset + limit);
+  const selected = (check && history.find(e => e.timestamp === check)) || newestFirst.find(e => e.success) || newestFirst[0] || null;
+  const dark = darkMode ? '&dark=1' : '';
+  const checkHref = (e) => `?check=${encodeURIComponent(e.timestamp)}${offset ? `&offset=${offset}` : ''}${dark}#check`;
+
+  // Config summary
+  const summary = config ? [
+    ['URL', `<a href="${escapeHtml(config.url || '')}" target="_blank">${escapeHtml(config.url || '-')}</a>`],
+    ['File', escapeHtml(entry?.file || '-')],
+    ['Status', [
+      config.enabled === false ? 'disabled' : 'enabled',
+      ...(control.paused ? [`⏸ paused since ${new Date(control.pausedAt).toLocaleString()}`] : []),
+      ...(control.snoozedUntil ? [`💤 notifications snoozed until ${new Date(control.snoozedUntil).toLocaleString()}`] : [])
+    ].join(', ')],
+    ['Engine', config.engine || 'browser'],
+    ['Schedule', escapeHtml(config.schedule ? `cron: ${config.schedule}${config.scheduleTimezone ? ` (${config.scheduleTimezone})` : ''}` : `every ${Math.round((config.interval || DEFAULT_CHECK_INTERVAL_MS) / 60000)} min`)],
+    ['Next run', formatNextRun(watchId)],
+    ['Comparator', escapeHtml(config.comparator || 'hash')],
+    ['Extractors', (config.extractors || []).map(e =>
+      `<code>${escapeHtml(e.name)}</code> ${escapeHtml(e.type)}${e.selector ? ` <span class="muted">${escapeHtml(e.selector)}</span>` : ''}${e.comparator ? ` → ${escapeHtml(e.comparator)}` : ''}`
+    ).join('<br>') || '-'],
+    ['Notifications', escapeHtml(Array.isArray(config.notifications)
+      ? config.notifications.map(c => c.type || CHANNEL_TYPES.find(t => c[t])).join(', ') || 'none'
+      : globalChannels().map(c => c.type).join(', ') || 'none') + (Array.isArray(config.notifications) ? '' : ' <span class="muted">(global)</span>')],
+    ...(entry?.errors.length ? [['Config errors', entry.errors.map(escapeHtml).join('<br>')]] : [])
+  ].map(([label, value]) => `<tr><th>${label}</th><td>${value}</td></tr>`).join('') : '<tr><td>No config file (history only)</td></tr>';
+
+  // One chart per extractor with numeric values
+  const series = new Map();
+  for (const e of history) {
+    for (const [field, value] of Object.entries(e.data || {})) {
+      const number = numericValue(value);
+      if (number === undefined) continue;
+      if (!series.has(field)) series.set(field, []);
+      series.get(field).push({ timestamp: e.timestamp, value: number });
+    }
+  }
+  const charts = [...series.entries()].map(([field, points]) =>
+    `<div class="card"><h3>${escapeHtml(field)} <span class="muted">${points.length} points, latest ${points[points.length - 1].value}</span></h3>` +
+    renderLineChart(points.slice(-500), { textColor: textMuted }) + '</div>'
+  ).join('');
+
+  const timelineRows = timeline.map(e => `
+    <tr class="${e.success ? '' : 'error'}${selected && e.timestamp === selected.timestamp ? ' selected' : ''}">
+      <td><a href="${checkHref(e)}">${new Date(e.timestamp).toLocaleString()}</a></td>
+      <td>${!e.success ? '❌' : e.baseline ? '📍 baseline' : '✅'}</td>
+      <td>${e.durationMs !== undefined ? `${(e.durationMs / 1000).toFixed(1)}s` : '-'}</td>
+      <td>${e.changes?.length ? e.changes.map(c => escapeHtml(c.name)).join(', ') : '-'}</td>
+      <td>${escapeHtml(e.error || '-')}${e.errorScreenshot ? ` <a href="/screenshots/${encodeURIComponent(path.basename(e.errorScreenshot))}" target="_blank">📷</a>` : ''}</td>
+    </tr>`).join('');
+
+  const pager = [
+    offset > 0 ? `<a href="?offset=${Math.max(offset - limit, 0)}${dark}">← Newer</a>` : '',
+    offset + limit < history.length ? `<a href="?offset=${offset + limit}${dark}">Older →</a>` : ''
+  ].filter(Boolean).join(' | ');
+
+  const selectedView = selected ? `
+    <p class="muted">${new Date(selected.timestamp).toLocaleString()} · ${selected.success ? 'succeeded' : 'failed'}${selected.error ? `: ${escapeHtml(selected.error)}` : ''}</p>
+    ${selected.changes?.length ? `<h3>Changes</h3>${selected.changes.map(c => renderChangeDetail(watchId, c)).join('')}` : ''}
+    <h3>Data</h3>${renderJson(selected.data ?? null)}` : '<p class="muted">No checks yet</p>';
+
+  // error-<id>-<epoch ms>.png, matched exactly: ids of other watches (and
+  // targets, <id>-<target>) can start with this one
+  const screenshotPattern = new RegExp(`^error-${watchId.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}-(\\d+)\\.png$`);
+  const screenshots = fs.existsSync(SCREENSHOT_DIR)
+    ? fs.readdirSync(SCREENSHOT_DIR)
+      .map(file => ({ file, match: file.match(screenshotPattern) }))
+      .filter(({ match }) => match)
+      .map(({ file, match }) => ({ file, taken: parseInt(match[1]) }))
+      .sort((a, b) => b.taken - a.taken)
+      .slice(0, 12)
+    : [];
+  const screenshotLinks = screenshots.map(({ file, taken }) => {
+    const href = `/screenshots/${encodeURIComponent(file)}`;
+    return `<a href="${href}" target="_blank" title="${new Date(taken).toLocaleString()}"><img class="thumb" src="${href}"></a>`;
+  }).join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(name)} - mon-itor</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; margin: 20px; background: ${bg}; color: ${text}; }
+    a { color: ${darkMode ? '#8ab4f8' : '#1a73e8'}; }
+    .header { display: flex; justify-content: space-between; align-items: center; }
+    .muted { color: ${textMuted}; font-size: 13px; font-weight: normal; }
+    .card { background: ${cardBg}; border: 1px solid ${border}; border-radius: 5px; padding: 12px 16px; margin-bottom: 16px; }
+    .charts { display: grid; grid-template-columns: repeat(auto-fill, minmax(420px, 1fr)); gap: 16px; }
+    .chart { display: block; height: 160px; }
+    table { width: 100%; border-collapse: collapse; background: ${cardBg}; box-shadow: 0 1px 3px rgba(0,0,0,0.2); margin-bottom: 12px; }
+    th, td { padding: 8px 12px; text-align: left; border-bottom: 1px solid ${border}; vertical-align: top; }
+    thead th { background: ${tableBg}; color: white; }
+    .summary th { width: 140px; color: ${textMuted}; }
+    tr:hover { background: ${rowHover}; }
+    tr.error { background: ${darkMode ? '#3d1a1a' : '#fff3f3'}; }
+    tr.selected { outline: 2px solid #4CAF50; }
+    .json { background: ${bg}; border: 1px solid ${border}; padding: 8px; font-size: 12px; max-height: 400px; overflow: auto; white-space: pre-wrap; }
+    .before-after { display: grid; grid-template-columns: 1fr 1fr; gap: 12px; }
+    .text-diff { white-space: pre-wrap; max-height: 300px; overflow: auto; font-size: 12px; }
+    .text-diff ins { background: #c8f7c5; color: #155724; text-decoration: none; }
+    .text-diff del { background: #f8d7da; color: #721c24; }
+    .text-diff .skip { color: ${textMuted}; }
+    .thumb { max-width: 200px; max-height: 140px; margin: 4px 4px 0 0; border: 1px solid ${border}; }
+    .btn { padding: 8px 16px; background: ${darkMode ? '#fff' : '#333'}; color: ${darkMode ? '#333' : '#fff'}; border: none; border-radius: 4px; cursor: pointer; }
+  </style>
+</head>
+<body>
+  <div class="header">
+    <h1>${escapeHtml(name)} <span class="muted">${escapeHtml(watchId)}</span></h1>
+    <div>
+      <a href="/${darkMode ? '?dark=1' : ''}"><button class="btn">← Dashboard</button></a>
+      ${hasRole(user, 'operator') && entry ? `<a href="/editor?id=${encodeURIComponent(watchId)}${dark}"><button class="btn">✏️ Edit</button></a>` : ''}
+    </div>
+  </div>
+
+  <table class="summary">${summary}</table>
+
+  ${charts ? `<h2>Values</h2><div class="charts">${charts}</div>` : ''}
+
+  <h2>Checks <span class="muted">${history.length} in history</span></h2>
+  <table>
+    <thead><tr><th>Time</th><th>Result</th><th>Duration</th><th>Changes</th><th>Error</th></tr></thead>
+    <tbody>${timelineRows || '<tr><td colspan="5">No history yet</td></tr>'}</tbody>
   </table>
+  <p>${pager}</p>
+
+  <h2 id="check">Check details</h2>
+  <div class="card">${selectedView}</div>
+
+  ${screenshotLinks ? `<h2>Error screenshots</h2><div class="card">${screenshotLinks}</div>` : ''}
+</body>
+</html>`;
+}
+
+function generateEditorHTML(darkMode = false) {
+  const { bg, cardBg, text, textMuted, tableBg, border } = themeColors(darkMode);
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <title>mon-itor Editor</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; margin: 20px; background: ${bg}; color: ${text}; }
+    h1 { color: ${text}; }
+    a { color: inherit; }
+    .header { display: flex; justify-content: space-between; align-items: center; }
+    .layout { display: flex; gap: 20px; align-items: flex-start; }
+    .sidebar { width: 260px; flex-shrink: 0; background: ${cardBg}; box-shadow: 0 1px 3px rgba(0,0,0,0.2); }
+    .sidebar h3 { margin: 0; padding: 12px 15px; background: ${tableBg}; color: white; font-size: 15px; }
+    .sidebar ul { list-style: none; margin: 0; padding: 0; }
+    .sidebar li { padding: 10px 15px; border-bottom: 1px solid ${border}; cursor: pointer; }
+    .sidebar li.active { font-weight: bold; background: ${darkMode ? '#1a1a40' : '#eef5ee'}; }
+    .sidebar li.invalid::after { content: " ⚠️"; }
+    .sidebar li.disabled { color: ${textMuted}; }
+    .sidebar small { display: block; color: ${textMuted}; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+    .editor { flex: 1; background: ${cardBg}; box-shadow: 0 1px 3px rgba(0,0,0,0.2); padding: 15px 20px; min-width: 0; }
+    .toolbar { display: flex; gap: 8px; flex-wrap: wrap; margin-bottom: 15px; }
+    .btn { padding: 6px 14px; background: #4CAF50; color: white; border: none; border-radius: 4px; cursor: pointer; }
+    .btn.secondary { background: #607d8b; }
+    .btn.danger { background: #f44336; }
+    .btn.small { padding: 2px 8px; font-size: 12px; }
+    .btn:disabled { background: #ccc; cursor: not-allowed; }
+    section { border-top: 1px solid ${border}; padding-top: 10px; margin-top: 10px; }
+    section h3 { margin: 0 0 10px; font-size: 16px; }
+    .fields { display: grid; grid-template-columns: repeat(auto-fill, minmax(220px, 1fr)); gap: 8px 12px; }
+    .field { display: flex; flex-direction: column; font-size: 12px; color: ${textMuted}; }
+    .field.wide { grid-column: 1 / -1; }
+    .field input, .field select, .field textarea, .row-head select, .row-head input { font-size: 13px; padding: 5px; border: 1px solid ${border}; border-radius: 3px; background: ${bg}; color: ${text}; }
+    .field input[type=checkbox] { align-self: flex-start; margin-top: 6px; }
+    textarea { font-family: monospace; min-height: 60px; }
+    textarea.bad { border-color: #f44336 !important; }
+    .row { border: 1px solid ${border}; border-radius: 4px; padding: 10px; margin-bottom: 8px; }
+    .row.has-errors { border-color: #f44336; }
+    .row-head { display: flex; gap: 8px; align-items: center; margin-bottom: 8px; }
+    .row-head .spacer { flex: 1; }
+    .row .row { margin: 6px 0 0 0; padding: 6px; }
+    .errors { background: #f8d7da; color: #721c24; border-radius: 4px; padding: 8px 12px; margin: 8px 0; font-size: 13px; }
+    .errors ul { margin: 0; padding-left: 18px; }
+    .valid { background: #d4edda; color: #155724; border-radius: 4px; padding: 8px 12px; margin: 8px 0; font-size: 13px; }
+    .test-result { border: 1px solid ${border}; border-radius: 4px; padding: 10px; margin: 8px 0; font-size: 13px; }
+    .test-result table { width: 100%; border-collapse: collapse; margin-bottom: 10px; }
+    .test-result th, .test-result td { text-align: left; padding: 4px 8px; border-bottom: 1px solid ${border}; vertical-align: top; }
+    .test-result pre { white-space: pre-wrap; max-height: 200px; overflow: auto; margin: 0; font-size: 12px; }
+    .test-result img { max-width: 100%; border: 1px solid ${border}; }
+    #json { width: 100%; min-height: 400px; box-sizing: border-box; background: ${bg}; color: ${text}; border: 1px solid ${border}; }
+    .toast { position: fixed; bottom: 20px; right: 20px; padding: 12px 24px; background: #333; color: white; border-radius: 4px; display: none; }
+  </style>
+</head>
+<body>
+  <div class="header">
+    <h1>✏️ Watch Editor</h1>
+    <a href="/${darkMode ? '?dark=1' : ''}">← Dashboard</a>
+  </div>
+
+  <div class="layout">
+    <div class="sidebar">
+      <h3>Watches</h3>
+      <ul id="watch-list"></ul>
+    </div>
+    <div class="editor">
+      <div class="toolbar">
+        <button class="btn" id="save-btn" onclick="saveWatch()">💾 Save</button>
+        <button class="btn secondary" onclick="newWatch()">＋ New</button>
+        <button class="btn secondary" onclick="cloneWatch()">⧉ Clone</button>
+        <button class="btn secondary" id="test-btn" onclick="testWatch()">🧪 Test</button>
+        <button class="btn secondary" onclick="toggleJson()">{ } JSON</button>
+        <button class="btn danger" id="delete-btn" onclick="deleteWatch()">🗑 Delete</button>
+      </div>
+      <div id="status"></div>
+      <div id="test-result"></div>
+      <form id="form" onsubmit="return false"></form>
+      <div id="json-view" style="display: none">
+        <textarea id="json" spellcheck="false"></textarea>
+        <button class="btn" onclick="applyJson()">Apply JSON</button>
+      </div>
+    </div>
+  </div>
+
+  <div id="toast" class="toast"></div>
+
+  <script>
+    const CHANNEL_TYPES = ${JSON.stringify(CHANNEL_TYPES)};
+    const GENERAL_FIELDS = ['id', 'name', 'url', 'extends', 'enabled', 'engine', 'interval', 'schedule', 'scheduleTimezone', 'overlap',
+      'comparator', 'waitForSelector', 'waitMs', 'timeout', 'retries', 'notifyOnError', 'errorThreshold', 'messageTemplate'];
+    const ACTION_FIELDS = {
+      wait: ['ms'], waitForSelector: ['selector', 'timeout', 'state'], waitForXPath: ['selector', 'timeout', 'state'],
+      waitForNavigation: ['timeout', 'waitUntil'], click: ['selector', 'xpath', 'checkFrames'], type: ['selector', 'value'],
+      typeSlowly: ['selector', 'value', 'delay'], pressKey: ['key'], select: ['selector', 'value'], hover: ['selector'],
+      scroll: ['selector', 'x', 'y'], evaluate: ['script'], screenshot: ['path', 'fullPage'], setVariable: ['name', 'value'],
+      login: ['usernameSelector', 'username', 'passwordSelector', 'password', 'submitSelector']
+    };
+    const EXTRACTOR_FIELDS = {
+      text: ['selector', 'xpath', 'checkFrames'], innerText: ['selector', 'xpath', 'checkFrames'], attribute: ['selector', 'attribute', 'xpath'],
+      value: ['selector'], options: ['selector'], html: ['selector'], outerHtml: ['selector'], count: ['selector', 'xpath'],
+      exists: ['selector', 'xpath'], url: [], title: [], xpath: ['selector'], evaluate: ['script'], json: ['path'],
+      jsonFromScript: ['selector', 'path'], response: ['urlPattern', 'method', 'status', 'match', 'timeout', 'path'], records: ['selector', 'xpath', 'fields'], screenshot: ['selector', 'fullPage', 'threshold', 'ignoreRegions']
+    };
+    const TRANSFORM_FIELDS = {
+      flatten: ['depth'], unique: [], sort: ['key', 'desc'], reverse: [], join: ['separator'], split: ['separator'],
+      first: [], last: [], slice: ['start', 'end'], filter: ['include', 'exclude'], map: ['key'], pluck: ['key'],
+      trim: [], lowercase: [], uppercase: [], regex: ['pattern', 'flags'], replace: ['pattern', 'flags', 'replacement'],
+      parseNumber: [], parseJson: [], jsonPath: ['path'], compact: []
+    };
+    const CHANNEL_FIELDS = {
+      telegram: ['token', 'chatId'], ntfy: ['url', 'priority', 'tags'], webhook: ['url', 'headers'],
+      email: ['to', 'cc', 'from', 'host', 'port', 'secure', 'username', 'password', 'subject'],
+      slack: ['url', 'token', 'channel'], discord: ['url', 'username', 'avatarUrl'], teams: ['url'],
+      matrix: ['homeserver', 'accessToken', 'roomId']
+    };
+    const COMPARATORS = ['hash', 'length', 'exact', 'added', 'removed', 'addedOrRemoved', 'keyed', 'numeric', 'increased', 'decreased',
+      'textDiff', 'visual', 'none', 'regex', 'custom'];
+    const SELECT_OPTIONS = {
+      engine: ['browser', 'http'], overlap: ['skip', 'coalesce'], comparator: COMPARATORS,
+      state: ['visible', 'attached', 'hidden', 'detached'], waitUntil: ['load', 'domcontentloaded', 'networkidle', 'commit'],
+      match: ['first', 'last', 'all']
+    };
+    const NUMBER_KEYS = ['interval', 'waitMs', 'timeout', 'retries', 'errorThreshold', 'ms', 'delay', 'x', 'y', 'port', 'depth', 'start', 'end', 'threshold', 'status'];
+    const BOOL_DEFAULTS = { enabled: true, notifyOnError: true, optional: false, xpath: false, checkFrames: true, fullPage: false, desc: false, secure: false, attachments: true, metric: false };
+    const JSON_KEYS = ['headers', 'include', 'exclude', 'ignoreRegions', 'fields'];
+    const TEXTAREA_KEYS = ['messageTemplate', 'script'];
+    const LISTS = {
+      actions: { title: 'Actions', fields: ACTION_FIELDS, common: ['optional', 'delay'], add: 'wait' },
+      extractors: { title: 'Extractors', fields: EXTRACTOR_FIELDS, common: ['comparator', 'metric'], add: 'text' },
+      notifications: { title: 'Notifications', fields: CHANNEL_FIELDS, common: ['attachments'], add: 'webhook' }
+    };
+
+    let watches = [];
+    let current = null;
+    let currentId = null;
+    let errors = [];
+    let validateTimer = null;
+
+    function esc(value) {
+      return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    async function api(method, url, body) {
+      const res = await fetch(url, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : {},
+        body: body ? JSON.stringify(body) : undefined
+      });
+      return { ok: res.ok, status: res.status, data: await res.json() };
+    }
+
+    // Transforms are edited as { type, ...options } and saved as plain strings when they have no options
+    function normalize(config) {
+      const copy = JSON.parse(JSON.stringify(config));
+      for (const ext of copy.extractors || []) {
+        if (Array.isArray(ext.transforms)) {
+          ext.transforms = ext.transforms.map(t => typeof t === 'string' ? { type: t } : t);
+        }
+      }
+      for (const channel of copy.notifications || []) {
+        if (!channel.type) channel.type = CHANNEL_TYPES.find(t => channel[t]) || 'webhook';
+      }
+      return copy;
+    }
+
+    function denormalize(config) {
+      const copy = JSON.parse(JSON.stringify(config));
+      for (const ext of copy.extractors || []) {
+        if (Array.isArray(ext.transforms)) {
+          ext.transforms = ext.transforms.map(t => Object.keys(t).length === 1 ? t.type : t);
+        }
+      }
+      return copy;
+    }
+
+    function getPath(path) {
+      return path.split('.').reduce((obj, key) => obj === undefined || obj === null ? undefined : obj[key], current);
+    }
+
+    function setPath(path, value) {
+      const keys = path.split('.');
+      const last = keys.pop();
+      const target = keys.reduce((obj, key) => obj[key], current);
+      if (value === undefined || value === '') {
+        delete target[last];
+      } else {
+        target[last] = value;
+      }
+    }
+
+    function field(path, key, wide) {
+      const value = getPath(path);
+      let input;
+      if (key in BOOL_DEFAULTS) {
+        const checked = value === undefined ? BOOL_DEFAULTS[key] : value;
+        input = '<input type="checkbox" data-path="' + path + '" data-kind="bool"' + (checked ? ' checked' : '') + '>';
+      } else if (SELECT_OPTIONS[key]) {
+        input = '<select data-path="' + path + '" data-kind="text"><option value=""></option>' +
+          SELECT_OPTIONS[key].map(o => '<option' + (o === value ? ' selected' : '') + '>' + o + '</option>').join('') + '</select>';
+      } else if (JSON_KEYS.includes(key)) {
+        input = '<textarea data-path="' + path + '" data-kind="json">' + esc(value === undefined ? '' : JSON.stringify(value, null, 2)) + '</textarea>';
+      } else if (TEXTAREA_KEYS.includes(key)) {
+        input = '<textarea data-path="' + path + '" data-kind="text">' + esc(value) + '</textarea>';
+      } else {
+        const kind = NUMBER_KEYS.includes(key) ? 'number' : 'text';
+        const display = Array.isArray(value) ? value.join(', ') : value;
+        input = '<input type="' + kind + '" data-path="' + path + '" data-kind="' + (Array.isArray(value) ? 'list' : kind) + '" value="' + esc(display) + '">';
+      }
+      const isWide = wide || JSON_KEYS.includes(key) || TEXTAREA_KEYS.includes(key);
+      return '<label class="field' + (isWide ? ' wide' : '') + '"><span>' + key + '</span>' + input + '</label>';
+    }
+
+    function extras(path, item, known) {
+      const rest = {};
+      for (const key of Object.keys(item)) {
+        if (!known.includes(key)) rest[key] = item[key];
+      }
+      const value = Object.keys(rest).length ? JSON.stringify(rest, null, 2) : '';
+      return '<label class="field wide"><span>other options (JSON)</span><textarea data-extra="' + path + '" data-keys="' +
+        esc(JSON.stringify(Object.keys(rest))) + '">' + esc(value) + '</textarea></label>';
+    }
+
+    function rowButtons(listPath, index) {
+      return '<button type="button" class="btn small secondary" data-move="' + listPath + '" data-index="' + index + '" data-dir="-1">↑</button>' +
+        '<button type="button" class="btn small secondary" data-move="' + listPath + '" data-index="' + index + '" data-dir="1">↓</button>' +
+        '<button type="button" class="btn small danger" data-remove="' + listPath + '" data-index="' + index + '">✕</button>';
+    }
+
+    function typeSelect(path, types, value) {
+      return '<select data-path="' + path + '" data-kind="text" data-rerender="1">' +
+        (types.includes(value) ? '' : '<option selected>' + esc(value) + '</option>') +
+        types.map(t => '<option' + (t === value ? ' selected' : '') + '>' + t + '</option>').join('') + '</select>';
+    }
+
+    function rowErrors(listKey, index) {
+      return errors.filter(e => e.startsWith(listKey + '[' + index + ']'));
+    }
+
+    function renderTransforms(path, transforms) {
+      const rows = (transforms || []).map((t, j) => {
+        const tPath = path + '.transforms.' + j;
+        const known = ['type'].concat(TRANSFORM_FIELDS[t.type] || []);
+        return '<div class="row"><div class="row-head">' + typeSelect(tPath + '.type', Object.keys(TRANSFORM_FIELDS), t.type) +
+          '<span class="spacer"></span>' + rowButtons(path + '.transforms', j) + '</div>' +
+          '<div class="fields">' + known.slice(1).map(k => field(tPath + '.' + k, k)).join('') + '</div></div>';
+      }).join('');
+      return '<div class="field wide"><span>transforms</span>' + rows +
+        '<div><button type="button" class="btn small secondary" data-add="' + path + '.transforms" data-type="trim">＋ transform</button></div></div>';
+    }
+
+    function renderList(listKey) {
+      const list = LISTS[listKey];
+      const items = current[listKey] || [];
+      const rows = items.map((item, i) => {
+        const path = listKey + '.' + i;
+        const known = ['type'].concat(list.fields[item.type] || [], list.common);
+        const rowErrs = rowErrors(listKey, i);
+        let head = typeSelect(path + '.type', Object.keys(list.fields), item.type);
+        if (listKey === 'extractors') {
+          known.push('name', 'transforms');
+          head += '<input data-path="' + path + '.name" data-kind="text" placeholder="name" value="' + esc(item.name) + '">';
+        }
+        return '<div class="row' + (rowErrs.length ? ' has-errors' : '') + '"><div class="row-head">' + head +
+          '<span class="spacer"></span>' + rowButtons(listKey, i) + '</div>' +
+          (rowErrs.length ? '<div class="errors"><ul>' + rowErrs.map(e => '<li>' + esc(e) + '</li>').join('') + '</ul></div>' : '') +
+          '<div class="fields">' + known.filter(k => !['type', 'name', 'transforms'].includes(k)).map(k => field(path + '.' + k, k)).join('') +
+          (listKey === 'extractors' ? renderTransforms(path, item.transforms) : '') +
+          extras(path, item, known) + '</div></div>';
+      }).join('');
+      return '<section><h3>' + list.title + '</h3>' + rows +
+        '<button type="button" class="btn small secondary" data-add="' + listKey + '" data-type="' + list.add + '">＋ Add</button></section>';
+    }
+
+    function renderStatus() {
+      document.getElementById('status').innerHTML = errors.length
+        ? '<div class="errors"><ul>' + errors.map(e => '<li>' + esc(e) + '</li>').join('') + '</ul></div>'
+        : '<div class="valid">✅ Config is valid</div>';
+    }
+
+    function render() {
+      document.getElementById('delete-btn').disabled = !currentId;
+      const known = GENERAL_FIELDS.concat(['actions', 'extractors', 'notifications']);
+      renderStatus();
+      document.getElementById('form').innerHTML =
+        '<section><h3>General</h3><div class="fields">' +
+        GENERAL_FIELDS.map(k => field(k, k, k === 'url')).join('') + extras('', current, known) + '</div></section>' +
+        renderList('actions') + renderList('extractors') + renderList('notifications');
+      document.getElementById('json').value = JSON.stringify(denormalize(current), null, 2);
+      renderWatchList();
+    }
+
+    function renderWatchList() {
+      document.getElementById('watch-list').innerHTML = watches.map(w =>
+        '<li data-id="' + esc(w.id) + '" class="' + (w.id === currentId ? 'active' : '') + (w.valid ? '' : ' invalid') +
+        (w.enabled ? '' : ' disabled') + '" onclick="openWatch(this.dataset.id)">' + esc(w.name || w.id) +
+        '<small>' + esc(w.url || w.file) + '</small></li>'
+      ).join('') || '<li>No watches yet</li>';
+    }
+
+    function scheduleValidate() {
+      clearTimeout(validateTimer);
+      validateTimer = setTimeout(async () => {
+        const { data } = await api('POST', '/api/watches/validate', denormalize(current));
+        errors = data.errors || [data.error];
+        // Don't rebuild the form under the cursor; row highlights catch up on the next render
+        if (document.getElementById('form').contains(document.activeElement)) {
+          renderStatus();
+        } else {
+          render();
+        }
+      }, 400);
+    }
+
+    document.getElementById('form').addEventListener('change', e => {
+      const el = e.target;
+      if (el.dataset.extra !== undefined) {
+        const item = el.dataset.extra ? getPath(el.dataset.extra) : current;
+        let rest = {};
+        try {
+          rest = el.value.trim() ? JSON.parse(el.value) : {};
+          el.classList.remove('bad');
+        } catch (err) {
+          el.classList.add('bad');
+          return;
+        }
+        for (const key of JSON.parse(el.dataset.keys)) delete item[key];
+        Object.assign(item, rest);
+        render();
+        scheduleValidate();
+        return;
+      }
 
-  <div id="toast" class="toast"></div>
+      const path = el.dataset.path;
+      if (!path) return;
+      const key = path.split('.').pop();
+      let value = el.value;
+      if (el.dataset.kind === 'bool') {
+        value = el.checked === BOOL_DEFAULTS[key] ? undefined : el.checked;
+      } else if (el.dataset.kind === 'number') {
+        value = el.value === '' ? undefined : Number(el.value);
+      } else if (el.dataset.kind === 'list') {
+        value = el.value.split(',').map(s => s.trim()).filter(s => s);
+      } else if (el.dataset.kind === 'json') {
+        try {
+          value = el.value.trim() ? JSON.parse(el.value) : undefined;
+          el.classList.remove('bad');
+        } catch (err) {
+          el.classList.add('bad');
+          return;
+        }
+      }
+      setPath(path, value);
+      if (el.dataset.rerender) render();
+      scheduleValidate();
+    });
 
-  <script>
-    async function triggerWatch(id) {
-      const btn = event.target;
+    document.getElementById('form').addEventListener('click', e => {
+      const el = e.target;
+      if (el.dataset.add) {
+        const keys = el.dataset.add.split('.');
+        const parent = keys.length > 1 ? getPath(keys.slice(0, -1).join('.')) : current;
+        const listKey = keys[keys.length - 1];
+        if (!Array.isArray(parent[listKey])) parent[listKey] = [];
+        parent[listKey].push(listKey === 'extractors' ? { name: 'field' + (parent[listKey].length + 1), type: el.dataset.type } : { type: el.dataset.type });
+      } else if (el.dataset.remove) {
+        getPath(el.dataset.remove).splice(Number(el.dataset.index), 1);
+      } else if (el.dataset.move) {
+        const list = getPath(el.dataset.move);
+        const from = Number(el.dataset.index);
+        const to = from + Number(el.dataset.dir);
+        if (to < 0 || to >= list.length) return;
+        list.splice(to, 0, list.splice(from, 1)[0]);
+      } else {
+        return;
+      }
+      render();
+      scheduleValidate();
+    });
+
+    async function loadWatches() {
+      const { data } = await api('GET', '/api/watches');
+      watches = data.watches || [];
+      renderWatchList();
+    }
+
+    async function openWatch(id) {
+      const { ok, data } = await api('GET', '/api/watches/' + encodeURIComponent(id));
+      if (!ok || !data.config) {
+        showToast('Cannot open ' + id + ': ' + (data.error || (data.errors || []).join(', ')));
+        return;
+      }
+      currentId = data.id;
+      current = normalize(data.config);
+      document.getElementById('test-result').innerHTML = '';
+      errors = data.errors;
+      history.replaceState(null, '', '?id=' + encodeURIComponent(currentId)${darkMode ? " + '&dark=1'" : ''});
+      render();
+    }
+
+    function newWatch() {
+      currentId = null;
+      document.getElementById('test-result').innerHTML = '';
+      current = { name: 'New watch', url: 'https://example.com', extractors: [{ name: 'content', type: 'text', selector: 'body' }] };
+      errors = [];
+      history.replaceState(null, '', location.pathname${darkMode ? " + '?dark=1'" : ''});
+      render();
+    }
+
+    function cloneWatch() {
+      current = JSON.parse(JSON.stringify(current));
+      current.id = (current.id || 'watch') + '-copy';
+      current.name = (current.name || 'Watch') + ' (copy)';
+      currentId = null;
+      render();
+      scheduleValidate();
+      showToast('Cloned - save to create the copy');
+    }
+
+    async function saveWatch() {
+      const btn = document.getElementById('save-btn');
       btn.disabled = true;
-      btn.textContent = '⏳';
       try {
-        const res = await fetch('/api/trigger?id=' + encodeURIComponent(id), { method: 'POST' });
-        const data = await res.json();
-        showToast(data.status === 'triggered' ? 'Watch triggered!' : 'Error: ' + data.error);
-        setTimeout(() => location.reload(), 2000);
+        const { ok, data } = currentId
+          ? await api('PUT', '/api/watches/' + encodeURIComponent(currentId), denormalize(current))
+          : await api('POST', '/api/watches', denormalize(current));
+        if (!ok) {
+          errors = data.errors || [data.error];
+          render();
+          showToast('Not saved: ' + (data.error || 'invalid config'));
+          return;
+        }
+        showToast('Saved ' + data.file);
+        await loadWatches();
+        await openWatch(data.id);
       } catch (e) {
         showToast('Error: ' + e.message);
+      } finally {
         btn.disabled = false;
-        btn.textContent = '▶ Run';
       }
     }
+
+    async function deleteWatch() {
+      if (!currentId || !confirm('Delete watch ' + currentId + '? Its history is kept.')) return;
+      const { ok, data } = await api('DELETE', '/api/watches/' + encodeURIComponent(currentId));
+      showToast(ok ? 'Deleted ' + currentId : 'Error: ' + data.error);
+      if (ok) {
+        await loadWatches();
+        newWatch();
+      }
+    }
+
+    function preview(value) {
+      if (typeof value === 'string' && value.startsWith('data:image/')) return '<img src="' + value + '">';
+      return '<pre>' + esc(value === undefined ? '' : JSON.stringify(value, null, 2)) + '</pre>';
+    }
+
+    async function testWatch() {
+      const btn = document.getElementById('test-btn');
+      const out = document.getElementById('test-result');
+      btn.disabled = true;
+      btn.textContent = '⏳ Testing...';
+      try {
+        const { data } = await api('POST', '/api/test', denormalize(current));
+        if (data.errors || !data.steps) {
+          out.innerHTML = '<div class="errors">' + esc(data.error) + '</div>';
+          if (data.errors) { errors = data.errors; renderStatus(); }
+          return;
+        }
+        out.innerHTML = '<div class="test-result">' +
+          '<div class="' + (data.success ? 'valid' : 'errors') + '">' + (data.success
+            ? '✅ Test run finished in ' + data.durationMs + 'ms' + (data.baseline ? ' (no saved state yet: a real run would save a baseline)'
+              : data.wouldNotify ? ' - ' + data.changes.length + ' change(s), a real run would notify' + (data.throttled ? ' (currently throttled)' : '') : ' - no changes')
+            : '❌ ' + esc(data.error)) + '</div>' +
+          '<h4>Steps</h4><table><tr><th>Step</th><th>Target</th><th>Status</th><th>Time</th></tr>' +
+          data.steps.map(s => '<tr><td>' + esc(s.type) + '</td><td>' + esc(s.target) + '</td><td>' + esc(s.status) +
+            (s.error ? ': ' + esc(s.error) : '') + '</td><td>' + s.durationMs + 'ms</td></tr>').join('') + '</table>' +
+          '<h4>Extractors</h4><table><tr><th>Name</th><th>Raw</th><th>Value</th></tr>' +
+          data.extractors.map(e => '<tr><td>' + esc(e.name) + (e.error ? '<br><small>⚠️ ' + esc(e.error) + '</small>' : '') +
+            '</td><td>' + preview(e.raw) + '</td><td>' + preview(e.value) + '</td></tr>').join('') + '</table>' +
+          (data.changes && data.changes.length ? '<h4>Changes</h4>' + preview(data.changes) : '') +
+          (data.message ? '<h4>Message preview</h4><pre>' + esc(data.message) + '</pre>' : '') +
+          (data.screenshot ? '<h4>Screenshot</h4><img src="' + data.screenshot + '">' : '') +
+          '</div>';
+      } catch (e) {
+        out.innerHTML = '<div class="errors">' + esc(e.message) + '</div>';
+      } finally {
+        btn.disabled = false;
+        btn.textContent = '🧪 Test';
+      }
+    }
+
+    function toggleJson() {
+      const view = document.getElementById('json-view');
+      const showJson = view.style.display === 'none';
+      view.style.display = showJson ? 'block' : 'none';
+      document.getElementById('form').style.display = showJson ? 'none' : 'block';
+    }
+
+    function applyJson() {
+      try {
+        current = normalize(JSON.parse(document.getElementById('json').value));
+      } catch (e) {
+        showToast('Invalid JSON: ' + e.message);
+        return;
+      }
+      toggleJson();
+      render();
+      scheduleValidate();
+    }
+
     function showToast(msg) {
       const toast = document.getElementById('toast');
       toast.textContent = msg;
       toast.style.display = 'block';
       setTimeout(() => toast.style.display = 'none', 3000);
     }
+
+    loadWatches().then(() => {
+      const id = new URLSearchParams(location.search).get('id');
+      if (id) openWatch(id); else newWatch();
+    });
   </script>
 </body>
 </html>`;
 }
 
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body, null, 2));
+}
+
+/**
+ * Decode a URL path segment; null for malformed escapes (e.g. "%E0%A4%A"),
+ * which decodeURIComponent throws on
+ */
+function decodePathParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Read a request body as text (rejects with statusCode 413 when too large)
+ */
+function readBody(req, maxBytes = 1024 * 1024) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        reject(Object.assign(new Error('Request body too large'), { statusCode: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Read and parse a JSON request body (rejects with statusCode 400/413)
+ */
+async function readJsonBody(req, maxBytes = 1024 * 1024) {
+  const body = await readBody(req, maxBytes);
+  try {
+    return JSON.parse(body || 'null');
+  } catch (e) {
+    throw Object.assign(new Error(`Invalid JSON: ${e.message}`), { statusCode: 400 });
+  }
+}
+
 function startHealthServer() {
+  authConfig = loadAuthConfig();
+
   const server = http.createServer((req, res) => {
-    const url = new URL(req.url, `http://localhost:${HEALTH_PORT}`);
+    let url;
+    try {
+      url = new URL(req.url, `http://localhost:${HEALTH_PORT}`);
+    } catch (e) {
+      // Absolute-form targets such as "http://[" are not valid URLs
+      return sendJson(res, 400, { error: 'Malformed request URL' });
+    }
+
+    const user = authenticate(req);
+    if (denyRequest(req, res, url, user)) return;
+
+    const historyMatch = url.pathname.match(/^\/api\/watches\/([^/]+)\/history(\/last-change)?$/);
+    const visualMatch = url.pathname.match(/^\/visual\/([^/]+)\/([^/]+)$/);
+    const screenshotMatch = url.pathname.match(/^\/screenshots\/([^/]+)$/);
+    const watchPageMatch = url.pathname.match(/^\/watch\/([^/]+)$/);
+    const watchMatch = url.pathname.match(/^\/api\/watches\/([^/]+)$/);
+    const controlMatch = url.pathname.match(/^\/api\/watches\/([^/]+)\/(pause|resume|snooze|unsnooze|reset-baseline|clear-errors)$/);
+    const deliveryMatch = url.pathname.match(/^\/api\/notifications\/([^/]+?)(\/resend)?$/);
+
+    if (url.pathname === '/login' && ['GET', 'POST'].includes(req.method)) {
+      handleLogin(req, res, url);
+
+    } else if (url.pathname === '/logout' && req.method === 'POST') {
+      handleLogout(req, res);
 
-    if (url.pathname === '/health' || url.pathname === '/api/health') {
+    } else if ((url.pathname === '/health' || url.pathname === '/api/health') && !user) {
+      // Liveness only: watch names and errors need a login
+      sendJson(res, 200, { status: isRunning ? 'healthy' : 'starting', uptime: process.uptime(), timestamp: new Date().toISOString() });
+
+    } else if (url.pathname === '/health' || url.pathname === '/api/health') {
       const health = {
         status: isRunning ? 'healthy' : 'starting',
         uptime: process.uptime(),
@@ -1589,50 +7203,354 @@ function startHealthServer() {
           success: r.success,
           lastCheck: r.timestamp,
           error: r.error,
-          errorCount: r.errorCount || 0
+          errorCount: r.errorCount || 0,
+          schedule: watchSchedules.get(r.watchId) || null,
+          ...getWatchControl(r.watchId)
         })),
+        queue: getQueueStatus(),
+        notifications: {
+          pending: getOutboxStatus().filter(d => d.status === 'pending').length,
+          failed: getOutboxStatus().filter(d => d.status === 'failed').length
+        },
         timestamp: new Date().toISOString()
       };
       res.writeHead(200, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify(health, null, 2));
 
     } else if (url.pathname === '/metrics') {
-      let metrics = '';
-      metrics += `# HELP web_monitor_up Whether the web monitor is running\n`;
-      metrics += `# TYPE web_monitor_up gauge\n`;
-      metrics += `web_monitor_up ${isRunning ? 1 : 0}\n`;
-      metrics += `# HELP web_monitor_uptime_seconds Uptime in seconds\n`;
-      metrics += `# TYPE web_monitor_uptime_seconds counter\n`;
-      metrics += `web_monitor_uptime_seconds ${Math.floor(process.uptime())}\n`;
-      metrics += `# HELP web_monitor_watch_success Whether the last check succeeded\n`;
-      metrics += `# TYPE web_monitor_watch_success gauge\n`;
-      for (const [id, result] of Object.entries(lastCheckResults)) {
-        metrics += `web_monitor_watch_success{watch="${id}",name="${result.name || id}"} ${result.success ? 1 : 0}\n`;
-      }
-      metrics += `# HELP web_monitor_watch_errors_total Total error count per watch\n`;
-      metrics += `# TYPE web_monitor_watch_errors_total counter\n`;
-      for (const [id, count] of errorCounts.entries()) {
-        const name = lastCheckResults[id]?.name || id;
-        metrics += `web_monitor_watch_errors_total{watch="${id}",name="${name}"} ${count}\n`;
-      }
-      res.writeHead(200, { 'Content-Type': 'text/plain' });
-      res.end(metrics);
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+      res.end(renderMetrics());
+
+    } else if (historyMatch && req.method === 'GET') {
+      // History query endpoints
+      const id = decodePathParam(historyMatch[1]);
+      const lastChange = !!historyMatch[2];
+      const parseTime = (value) => {
+        if (!value) return undefined;
+        return /^\d+$/.test(value) ? parseInt(value) : Date.parse(value);
+      };
+      const from = parseTime(url.searchParams.get('from'));
+      const to = parseTime(url.searchParams.get('to'));
+
+      if (id === null) {
+        sendJson(res, 400, { error: 'Malformed watch id' });
+      } else if (!isSafeWatchId(id)) {
+        sendJson(res, 404, { error: 'Watch not found' });
+      } else if (Number.isNaN(from) || Number.isNaN(to)) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Invalid from/to parameter (use ISO date or epoch ms)' }));
+      } else if (lastChange) {
+        // When did this watch (or field) last change?
+        queryHistory(id, { from, to, field: url.searchParams.get('field'), changesOnly: true, limit: 1 }).then(result => {
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ watchId: id, lastChange: result.entries[0] || null }, null, 2));
+        }).catch(e => sendJson(res, 500, { error: e.message }));
+      } else {
+        queryHistory(id, {
+          from,
+          to,
+          field: url.searchParams.get('field'),
+          changesOnly: url.searchParams.get('changesOnly') === '1' || url.searchParams.get('changesOnly') === 'true',
+          offset: Math.max(parseInt(url.searchParams.get('offset')) || 0, 0),
+          limit: Math.min(Math.max(parseInt(url.searchParams.get('limit')) || 50, 1), 1000)
+        }).then(result => {
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(result, null, 2));
+        }).catch(e => sendJson(res, 500, { error: e.message }));
+      }
+
+    } else if (visualMatch && req.method === 'GET') {
+      // Visual diff / baseline images
+      // Malformed escapes decode to null and end up as 404s
+      const watchId = decodePathParam(visualMatch[1]);
+      const file = decodePathParam(visualMatch[2]);
+      const dir = isSafeWatchId(watchId) ? path.resolve(visualDir(watchId)) : null;
+      const filePath = dir && file !== null && path.resolve(dir, file);
+      if (filePath && filePath.startsWith(dir + path.sep) && filePath.endsWith('.png') && fs.existsSync(filePath)) {
+        res.writeHead(200, { 'Content-Type': 'image/png' });
+        fs.createReadStream(filePath).pipe(res);
+      } else {
+        res.writeHead(404);
+        res.end('Not found');
+      }
+
+    } else if (url.pathname === '/api/events' && req.method === 'GET') {
+      handleEventStream(req, res, url);
+
+    } else if (screenshotMatch && req.method === 'GET') {
+      // Error screenshots (flat files in SCREENSHOT_DIR only)
+      const file = decodePathParam(screenshotMatch[1]);
+      const filePath = file !== null && path.join(SCREENSHOT_DIR, file);
+      if (filePath && file === path.basename(file) && file.endsWith('.png') && fs.existsSync(filePath)) {
+        res.writeHead(200, { 'Content-Type': 'image/png' });
+        fs.createReadStream(filePath).pipe(res);
+      } else {
+        res.writeHead(404);
+        res.end('Not found');
+      }
+
+    } else if (watchPageMatch && req.method === 'GET') {
+      // Malformed ids decode to null, which isSafeWatchId turns into a 404
+      const watchId = decodePathParam(watchPageMatch[1]);
+      const render = isSafeWatchId(watchId) ? generateWatchHTML(watchId, {
+        darkMode: url.searchParams.get('dark') === '1',
+        user,
+        check: url.searchParams.get('check'),
+        offset: Math.max(parseInt(url.searchParams.get('offset')) || 0, 0),
+        limit: Math.min(Math.max(parseInt(url.searchParams.get('limit')) || 50, 1), 500)
+      }) : Promise.resolve(null);
+      render.then(html => {
+        if (html) {
+          res.writeHead(200, { 'Content-Type': 'text/html' });
+          res.end(html);
+        } else {
+          res.writeHead(404, { 'Content-Type': 'text/html' });
+          res.end('Watch not found');
+        }
+      }).catch(e => sendJson(res, 500, { error: e.message }));
+
+    } else if (url.pathname === '/api/notifications' && req.method === 'GET') {
+      // Pending and dead-lettered deliveries
+      const status = url.searchParams.get('status');
+      const deliveries = getOutboxStatus().filter(d => !status || d.status === status);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ deliveries }, null, 2));
+
+    } else if (url.pathname === '/api/notifications/log' && req.method === 'GET') {
+      // Delivery attempt log, newest first
+      const watchId = url.searchParams.get('watchId');
+      const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit')) || 100, 1), 1000);
+      const entries = readDeliveryLog().filter(e => !watchId || e.watchId === watchId).reverse().slice(0, limit);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ entries }, null, 2));
+
+    } else if (deliveryMatch && deliveryMatch[2] && req.method === 'POST') {
+      // Retry a delivery right away (including dead letters); a malformed id
+      // decodes to null and is simply not found
+      resendDelivery(decodePathParam(deliveryMatch[1])).then(delivery => {
+        if (delivery) {
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ delivery: getOutboxStatus().find(d => d.id === delivery.id) || { id: delivery.id, status: delivery.status } }));
+        } else {
+          res.writeHead(404, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: 'Delivery not found' }));
+        }
+      }).catch(e => {
+        res.writeHead(500, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: e.message }));
+      });
+
+    } else if (deliveryMatch && !deliveryMatch[2] && req.method === 'DELETE') {
+      if (dismissDelivery(decodePathParam(deliveryMatch[1]))) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ status: 'dismissed' }));
+      } else {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Delivery not found' }));
+      }
+
+    } else if (url.pathname === '/api/watches' && req.method === 'GET') {
+      // All config files, including invalid and disabled ones
+      const watches = listConfigFiles().map(({ file, id, config, errors, watchIds, template }) => ({
+        id,
+        file,
+        name: config?.name || null,
+        url: config?.url || null,
+        enabled: config ? config.enabled !== false : false,
+        valid: errors.length === 0,
+        errors,
+        ...(template && { template }),
+        ...(config?.targets !== undefined && { watchIds })
+      }));
+      sendJson(res, 200, { watches });
+
+    } else if (url.pathname === '/api/watches/validate' && req.method === 'POST') {
+      readJsonBody(req).then(config => {
+        if (!config || typeof config !== 'object' || Array.isArray(config)) {
+          return sendJson(res, 400, { error: 'Config must be a JSON object' });
+        }
+        const errors = getConfigFileErrors(config);
+        sendJson(res, 200, { valid: errors.length === 0, errors });
+      }).catch(e => sendJson(res, e.statusCode || 500, { error: e.message }));
+
+    } else if (url.pathname === '/api/watches' && req.method === 'POST') {
+      // Create a watch: written to CONFIG_DIR/<id>.json
+      readJsonBody(req).then(config => {
+        if (!config || typeof config !== 'object' || Array.isArray(config)) {
+          return sendJson(res, 400, { error: 'Config must be a JSON object' });
+        }
+        const id = config.id || slugify(config.name) || getWatchId(config);
+        config = { id, ...config, id };
+        if (!/^[A-Za-z0-9][A-Za-z0-9._-]*$/.test(config.id)) {
+          return sendJson(res, 400, { error: 'Invalid id (use letters, digits, ".", "_" and "-")', errors: [`Invalid id: ${config.id}`] });
+        }
+        const errors = getConfigFileErrors(config);
+        if (errors.length > 0) {
+          return sendJson(res, 400, { error: 'Config is invalid', errors });
+        }
+        const file = `${config.id}.json`;
+        if (findConfigFile(config.id) || fs.existsSync(path.join(CONFIG_DIR, file))) {
+          return sendJson(res, 409, { error: `Watch ${config.id} already exists`, errors: [`Duplicate id: ${config.id}`] });
+        }
+
+        writeConfigFile(file, config);
+        console.log(`\nWatch created via API: ${config.name || config.id} (${file})`);
+        applyConfigEdit();
+        sendJson(res, 201, { id: config.id, file, config: cleanConfig(config) });
+      }).catch(e => sendJson(res, e.statusCode || 500, { error: e.message }));
+
+    } else if (watchMatch && decodePathParam(watchMatch[1]) === null) {
+      sendJson(res, 400, { error: 'Malformed watch id' });
+
+    } else if (watchMatch && req.method === 'GET') {
+      const entry = findConfigFile(decodePathParam(watchMatch[1]));
+      if (entry) {
+        sendJson(res, 200, entry);
+      } else {
+        sendJson(res, 404, { error: 'Watch not found' });
+      }
+
+    } else if (watchMatch && req.method === 'PUT') {
+      // Replace a watch config in place (same file)
+      const id = decodePathParam(watchMatch[1]);
+      readJsonBody(req).then(config => {
+        const entry = findConfigFile(id);
+        if (!entry) {
+          return sendJson(res, 404, { error: 'Watch not found' });
+        }
+        if (!config || typeof config !== 'object' || Array.isArray(config)) {
+          return sendJson(res, 400, { error: 'Config must be a JSON object' });
+        }
+        if (config.id !== undefined && !/^[A-Za-z0-9][A-Za-z0-9._-]*$/.test(config.id)) {
+          return sendJson(res, 400, { error: 'Invalid id (use letters, digits, ".", "_" and "-")', errors: [`Invalid id: ${config.id}`] });
+        }
+        const errors = getConfigFileErrors(config);
+        if (errors.length > 0) {
+          return sendJson(res, 400, { error: 'Config is invalid', errors });
+        }
+        const newId = getWatchId(config);
+        const conflict = findConfigFile(newId);
+        if (newId !== id && conflict && conflict.file !== entry.file) {
+          return sendJson(res, 409, { error: `Watch ${newId} already exists`, errors: [`Duplicate id: ${newId}`] });
+        }
+
+        writeConfigFile(entry.file, config);
+        console.log(`\nWatch updated via API: ${config.name || newId} (${entry.file})`);
+        applyConfigEdit();
+        sendJson(res, 200, { id: newId, file: entry.file, config: cleanConfig(config) });
+      }).catch(e => sendJson(res, e.statusCode || 500, { error: e.message }));
+
+    } else if (watchMatch && req.method === 'DELETE') {
+      // Delete the config file; state and history are kept unless ARCHIVE_REMOVED_STATE is set
+      const id = decodePathParam(watchMatch[1]);
+      const entry = findConfigFile(id);
+      if (entry) {
+        fs.unlinkSync(path.join(CONFIG_DIR, entry.file));
+        applyConfigEdit();
+        console.log(`\nWatch deleted via API: ${id} (${entry.file})`);
+        sendJson(res, 200, { status: 'deleted', id, file: entry.file });
+      } else {
+        sendJson(res, 404, { error: 'Watch not found' });
+      }
+
+    } else if (controlMatch && req.method === 'POST') {
+      // Runtime controls: pause/resume, snooze notifications, reset baseline, clear errors
+      const id = decodePathParam(controlMatch[1]);
+      const action = controlMatch[2];
+      if (id === null) {
+        return sendJson(res, 400, { error: 'Malformed watch id' });
+      }
+      readJsonBody(req).then(body => {
+        const config = loadConfigs({ quiet: true }).find(c => getWatchId(c) === id);
+        if (!config) {
+          return sendJson(res, 404, { error: 'Watch not found' });
+        }
+
+        let queued = null;
+        switch (action) {
+          case 'pause':
+            updateWatchControl(id, { paused: true, pausedAt: new Date().toISOString() });
+            break;
+          case 'resume':
+            updateWatchControl(id, { paused: null, pausedAt: null });
+            break;
+          case 'snooze': {
+            const until = body?.until !== undefined
+              ? (typeof body.until === 'number' ? body.until : Date.parse(body.until))
+              : Date.now() + (parseFloat(body?.minutes) || 0) * 60 * 1000;
+            if (!Number.isFinite(until) || until <= Date.now()) {
+              return sendJson(res, 400, { error: 'Give a future "until" (ISO date or epoch ms) or "minutes"' });
+            }
+            updateWatchControl(id, { snoozedUntil: new Date(until).toISOString() });
+            break;
+          }
+          case 'unsnooze':
+            updateWatchControl(id, { snoozedUntil: null });
+            break;
+          case 'reset-baseline':
+            resetBaseline(id);
+            // Capture the new baseline right away
+            if (isRunning) queued = enqueueWatch(config, { coalesce: true, manual: true });
+            break;
+          case 'clear-errors':
+            clearErrorCount(id);
+            break;
+        }
+
+        const control = getWatchControl(id);
+        console.log(`\nWatch ${action} via API: ${config.name || id}`);
+        publishEvent('watch-updated', { watchId: id, name: config.name || null, action, ...control });
+        sendJson(res, 200, { watchId: id, action, ...control, errorCount: errorCounts.get(id) || 0, ...(queued && { queued }) });
+      }).catch(e => sendJson(res, e.statusCode || 500, { error: e.message }));
+
+    } else if (url.pathname === '/api/test' && req.method === 'POST') {
+      // Dry run: an unsaved config in the body, or a saved watch with ?id=
+      const id = url.searchParams.get('id');
+      const load = id
+        ? Promise.resolve(findConfigFile(id)?.config)
+        : readJsonBody(req, 5 * 1024 * 1024);
+      load.then(async config => {
+        if (!config || typeof config !== 'object' || Array.isArray(config)) {
+          return sendJson(res, id ? 404 : 400, { error: id ? 'Watch not found' : 'Config must be a JSON object' });
+        }
+        const errors = getConfigFileErrors(config);
+        if (errors.length > 0) {
+          return sendJson(res, 400, { error: 'Config is invalid', errors });
+        }
+        if (config.template === true) {
+          return sendJson(res, 400, { error: 'Templates are not run on their own, test a config that extends it' });
+        }
+        // Configs with targets: the requested target, or the first one
+        const watches = expandConfig(config);
+        const watch = watches.find(w => getWatchId(w) === id) || watches[0];
+        sendJson(res, 200, { ...(await testWatch(watch)), ...(watches.length > 1 && { targets: watches.length }) });
+      }).catch(e => sendJson(res, e.statusCode || 500, { error: e.message }));
+
+    } else if (url.pathname === '/api/schema' && req.method === 'GET') {
+      // JSON Schema for watch configs (use as "$schema" for editor autocompletion)
+      res.writeHead(200, { 'Content-Type': 'application/schema+json' });
+      res.end(JSON.stringify(WATCH_SCHEMA, null, 2));
+
+    } else if (url.pathname === '/editor' && req.method === 'GET') {
+      const darkMode = url.searchParams.get('dark') === '1';
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end(generateEditorHTML(darkMode));
 
     } else if (url.pathname === '/' || url.pathname === '/dashboard') {
       const darkMode = url.searchParams.get('dark') === '1';
       res.writeHead(200, { 'Content-Type': 'text/html' });
-      res.end(generateDashboardHTML(darkMode));
+      res.end(generateDashboardHTML(darkMode, user));
 
     } else if (url.pathname === '/api/trigger' && req.method === 'POST') {
       // Manual trigger endpoint
       const watchId = url.searchParams.get('id');
       if (watchId) {
         const configs = loadConfigs();
-        const config = configs.find(c => (c.id || c._file) === watchId);
+        const config = configs.find(c => getWatchId(c) === watchId);
         if (config) {
-          processWatch(config);
+          const queued = enqueueWatch(config, { coalesce: true, manual: true });
           res.writeHead(200, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ status: 'triggered', watchId }));
+          res.end(JSON.stringify({ status: 'triggered', watchId, queued }));
         } else {
           res.writeHead(404, { 'Content-Type': 'application/json' });
           res.end(JSON.stringify({ error: 'Watch not found' }));
@@ -1652,27 +7570,54 @@ function startHealthServer() {
     console.log(`Dashboard: http://localhost:${HEALTH_PORT}/`);
     console.log(`Health API: http://localhost:${HEALTH_PORT}/health`);
     console.log(`Metrics: http://localhost:${HEALTH_PORT}/metrics`);
+    console.log(authConfig.enabled
+      ? `Authentication: ${authConfig.users.size} user(s), ${authConfig.tokens.length} API token(s)`
+      : `Authentication: off (set AUTH_USERS or API_TOKENS to require a login)${ALLOW_UNAUTHENTICATED_EDITS ? ' - WARNING: anyone who can reach this port can change and test watches' : ', watch editing and dry runs disabled'}`);
   });
+  return server;
 }
 
 // ============================================================================
 // MAIN
 // ============================================================================
 
+async function launchBrowser() {
+  const launchOptions = { headless: true };
+
+  if (process.env.PROXY_SERVER) {
+    launchOptions.proxy = { server: process.env.PROXY_SERVER };
+    if (process.env.PROXY_USERNAME) {
+      launchOptions.proxy.username = process.env.PROXY_USERNAME;
+      launchOptions.proxy.password = process.env.PROXY_PASSWORD;
+    }
+    console.log(`Global proxy: ${process.env.PROXY_SERVER}`);
+  }
+
+  return chromium.launch(launchOptions);
+}
+
 async function main() {
   console.log('Web Monitor v3 starting...');
   console.log(`Config dir: ${CONFIG_DIR}`);
   console.log(`State dir: ${STATE_DIR}`);
   console.log(`Screenshot dir: ${SCREENSHOT_DIR}`);
   console.log(`Session dir: ${SESSION_DIR}`);
+  console.log(`History dir: ${HISTORY_DIR} (${HISTORY_RETENTION_DAYS} days, max ${HISTORY_MAX_ENTRIES} entries)`);
+  console.log(`Notification retries: ${NOTIFY_MAX_ATTEMPTS} attempts, backoff ${NOTIFY_RETRY_BASE_MS / 1000}s-${NOTIFY_RETRY_MAX_MS / 1000}s`);
   console.log(`Default interval: ${DEFAULT_CHECK_INTERVAL_MS / 1000 / 60} minutes`);
   console.log(`Max retries: ${MAX_RETRIES}`);
   console.log(`Stagger delay: ${STAGGER_DELAY_MS}ms`);
+  console.log(`Max concurrency: ${MAX_CONCURRENCY} (per domain: ${MAX_CONCURRENCY_PER_DOMAIN})`);
   console.log(`Notification throttle: ${NOTIFICATION_THROTTLE_MS / 1000}s`);
   console.log(`Error notification threshold: ${ERROR_NOTIFY_THRESHOLD}`);
   console.log(`Telegram: ${TELEGRAM_BOT_TOKEN ? 'configured' : 'not configured'}`);
   console.log(`ntfy: ${NTFY_URL ? 'configured' : 'not configured'}`);
   console.log(`Webhook: ${WEBHOOK_URL ? 'configured' : 'not configured'}`);
+  console.log(`Email: ${SMTP_HOST && SMTP_TO ? 'configured' : 'not configured'}`);
+  console.log(`Slack: ${SLACK_WEBHOOK_URL ? 'configured' : 'not configured'}`);
+  console.log(`Discord: ${DISCORD_WEBHOOK_URL ? 'configured' : 'not configured'}`);
+  console.log(`Teams: ${TEAMS_WEBHOOK_URL ? 'configured' : 'not configured'}`);
+  console.log(`Matrix: ${MATRIX_HOMESERVER && MATRIX_ACCESS_TOKEN && MATRIX_ROOM_ID ? 'configured' : 'not configured'}`);
 
   // Create directories
   for (const dir of [SCREENSHOT_DIR, SESSION_DIR]) {
@@ -1685,18 +7630,7 @@ async function main() {
   startHealthServer();
 
   // Launch browser
-  const launchOptions = { headless: true };
-
-  if (process.env.PROXY_SERVER) {
-    launchOptions.proxy = { server: process.env.PROXY_SERVER };
-    if (process.env.PROXY_USERNAME) {
-      launchOptions.proxy.username = process.env.PROXY_USERNAME;
-      launchOptions.proxy.password = process.env.PROXY_PASSWORD;
-    }
-    console.log(`Global proxy: ${process.env.PROXY_SERVER}`);
-  }
-
-  browser = await chromium.launch(launchOptions);
+  browser = await launchBrowser();
   isRunning = true;
 
   // Load and schedule watches
@@ -1717,15 +7651,32 @@ async function main() {
     }
   }
 
-  // Hot reload: check for config changes every 30 seconds
-  setInterval(checkConfigChanges, 30000);
+  // Hot reload
+  watchConfigDir();
+
+  // History retention
+  pruneAllHistory(configs);
+  pruneDeliveryLog();
+  setInterval(() => {
+    pruneAllHistory(loadConfigs());
+    pruneDeliveryLog();
+  }, HISTORY_PRUNE_INTERVAL_MS);
+
+  // Notification retries (resumes deliveries left pending by a previous run)
+  const pendingDeliveries = loadOutbox().filter(d => d.status === 'pending').length;
+  if (pendingDeliveries > 0) {
+    console.log(`Resuming ${pendingDeliveries} pending notification deliveries`);
+  }
+  setInterval(() => {
+    processOutbox().catch(e => console.log(`Notification queue error: ${e.message}`));
+  }, NOTIFY_QUEUE_INTERVAL_MS);
 
   // Graceful shutdown
   const shutdown = async () => {
     console.log('\nShutting down...');
     isRunning = false;
     for (const timer of watchTimers.values()) clearInterval(timer);
-    for (const cron of watchCronJobs.values()) clearInterval(cron);
+    for (const cron of watchCronJobs.values()) clearTimeout(cron);
     if (browser) await browser.close();
     process.exit(0);
   };
@@ -1734,4 +7685,322 @@ async function main() {
   process.on('SIGTERM', shutdown);
 }
 
-main().catch(console.error);
+// ============================================================================
+// CLI
+// ============================================================================
+
+const CLI_USAGE = `Usage: mon-itor [command] [options]
+
+Commands:
+  (none), daemon               Start the scheduler, dashboard and API
+  run <config|id>              Run a watch once (saves state, sends notifications)
+  test <config|id> [--json]    Dry-run a watch and print what it extracts
+  validate [dir|file...]       Validate configs (default: CONFIG_DIR), exit 1 on errors
+  state show <id>              Print the saved state of a watch
+  state reset <id>             Delete the saved state (next run becomes the baseline)
+  history <id> [--limit N] [--changes] [--field name] [--json]
+                               Print check history, newest first
+  notify-test <channel|file>   Send a test notification to a channel type or
+                               a channel config JSON file
+  schema                       Print the JSON Schema for watch configs
+  hash-password [password]     Hash a password for AUTH_USERS (reads stdin
+                               when no password is given)
+  help                         Show this help`;
+
+/**
+ * Split argv into positional arguments and --flags (`--limit 5`, `--limit=5`, `--json`)
+ */
+function parseCliArgs(args) {
+  const positional = [];
+  const flags = {};
+  for (let i = 0; i < args.length; i++) {
+    const match = args[i].match(/^--([^=]+)(?:=(.*))?$/);
+    if (!match) {
+      positional.push(args[i]);
+    } else if (match[2] !== undefined) {
+      flags[match[1]] = match[2];
+    } else if (args[i + 1] !== undefined && !args[i + 1].startsWith('--') && ['limit', 'field'].includes(match[1])) {
+      flags[match[1]] = args[++i];
+    } else {
+      flags[match[1]] = true;
+    }
+  }
+  return { positional, flags };
+}
+
+/**
+ * The watches for a config file path, or for an id in CONFIG_DIR (a file's
+ * id selects all of its targets, a target's id just that one)
+ */
+function resolveCliConfigs(arg) {
+  if (!arg) throw new Error('Missing config file or watch id');
+
+  let config;
+  let file;
+  let dir = CONFIG_DIR;
+  const isFile = fs.existsSync(arg) && fs.statSync(arg).isFile();
+  if (isFile) {
+    config = JSON.parse(fs.readFileSync(arg, 'utf8'));
+    file = path.basename(arg);
+    dir = path.dirname(arg);
+  } else {
+    const entry = findConfigFile(arg);
+    if (!entry) throw new Error(`No config file or watch with id "${arg}"`);
+    if (!entry.config) throw new Error(`${entry.file}: ${entry.errors.join(', ')}`);
+    config = entry.config;
+    file = entry.file;
+  }
+
+  const templates = loadTemplates(dir);
+  const errors = getConfigFileErrors(config, templates, dir);
+  if (errors.length > 0) {
+    throw new Error(`Invalid config ${file}:\n${errors.map(e => `  - ${e}`).join('\n')}`);
+  }
+  if (config.template === true) {
+    throw new Error(`${file} is a template, use a config that extends it`);
+  }
+
+  let watches = expandConfig(config, templates, dir);
+  if (!isFile && watches.some(watch => getWatchId(watch) === arg)) {
+    watches = watches.filter(watch => getWatchId(watch) === arg);
+  }
+  return watches.map(watch => ({ ...watch, _file: file, _hash: hashConfig(watch) }));
+}
+
+function formatCliValue(value) {
+  const str = typeof value === 'string' ? value : JSON.stringify(value);
+  return str === undefined ? 'undefined' : truncate(str, 500);
+}
+
+async function cliValidate(targets) {
+  const files = [];
+  for (const target of targets.length ? targets : [CONFIG_DIR]) {
+    if (!fs.existsSync(target)) {
+      console.log(`✗ ${target}: not found`);
+      files.push({ file: target, ok: false });
+      continue;
+    }
+    if (fs.statSync(target).isDirectory()) {
+      fs.readdirSync(target).filter(f => f.endsWith('.json')).sort()
+        .forEach(f => files.push({ file: path.join(target, f) }));
+    } else {
+      files.push({ file: target });
+    }
+  }
+
+  let failed = files.filter(f => f.ok === false).length;
+  const ids = new Map();
+  const templates = new Map();
+  for (const entry of files.filter(f => f.ok === undefined)) {
+    let errors;
+    try {
+      const config = JSON.parse(fs.readFileSync(entry.file, 'utf8'));
+      const dir = path.dirname(entry.file);
+      if (!templates.has(dir)) templates.set(dir, loadTemplates(dir));
+      errors = getConfigFileErrors(config, templates.get(dir), dir);
+
+      const watches = errors.length === 0 && config.template !== true ? expandConfig(config, templates.get(dir), dir) : [];
+      for (const id of watches.map(getWatchId)) {
+        if (ids.has(id)) errors.push(`Duplicate id "${id}" (also in ${ids.get(id)})`);
+        ids.set(id, entry.file);
+      }
+    } catch (e) {
+      errors = [`Invalid JSON: ${e.message}`];
+    }
+
+    if (errors.length > 0) {
+      failed++;
+      console.log(`✗ ${entry.file}`);
+      errors.forEach(e => console.log(`    - ${e}`));
+    } else {
+      console.log(`✓ ${entry.file}`);
+    }
+  }
+
+  console.log(`\n${files.length} config(s), ${failed} invalid`);
+  return failed > 0 || files.length === 0 ? 1 : 0;
+}
+
+async function cliNotifyTest(arg) {
+  if (!arg) throw new Error(`Missing channel (one of ${CHANNEL_TYPES.join(', ')}, or a channel JSON file)`);
+
+  const channel = fs.existsSync(arg) ? JSON.parse(fs.readFileSync(arg, 'utf8')) : { type: arg };
+  const type = channel.type || CHANNEL_TYPES.find(t => channel[t]);
+  if (!CHANNEL_TYPES.includes(type)) {
+    throw new Error(`Unknown channel type: ${type} (expected one of ${CHANNEL_TYPES.join(', ')})`);
+  }
+
+  const watchConfig = { id: 'notify-test', name: 'mon-itor test notification', url: 'https://example.com' };
+  const changes = [{ name: 'status', previous: 'before', current: 'after', details: null, comparator: 'exact' }];
+  const message = formatMessage(watchConfig, changes, { status: 'after' });
+  // Sent directly (not through the outbox) so failures are reported right away
+  const sent = await sendToChannel(channel, message, watchConfig, [], notificationMeta(changes));
+  if (!sent) {
+    throw new Error(`${type} channel is not configured`);
+  }
+  console.log(`✓ Test notification sent to ${type}`);
+  return 0;
+}
+
+async function runCli(command, args) {
+  const { positional, flags } = parseCliArgs(args);
+
+  switch (command) {
+    case 'run': {
+      const configs = resolveCliConfigs(positional[0]);
+      if (configs.some(config => config.engine !== 'http')) browser = await launchBrowser();
+      try {
+        const results = [];
+        for (const config of configs) {
+          results.push(await processWatch(config));
+        }
+        console.log(JSON.stringify(results.length === 1 ? results[0] : results, null, 2));
+        return results.every(result => result.success) ? 0 : 1;
+      } finally {
+        if (browser) await browser.close();
+      }
+    }
+
+    case 'test': {
+      const configs = resolveCliConfigs(positional[0]);
+      const config = configs[0];
+      if (configs.length > 1) {
+        console.error(`Testing ${getWatchId(config)}, the first of ${configs.length} targets (pass a target's watch id to test another)`);
+      }
+      if (config.engine !== 'http') browser = await launchBrowser();
+      let result;
+      try {
+        result = await testWatch(config);
+      } finally {
+        if (browser) await browser.close();
+      }
+      delete result.screenshot;
+
+      if (flags.json) {
+        console.log(JSON.stringify(result, null, 2));
+        return result.success ? 0 : 1;
+      }
+
+      console.log('\nSteps:');
+      result.steps.forEach(s => console.log(`  ${s.status === 'ok' ? '✓' : s.status === 'skipped' ? '-' : '✗'} ${s.type}${s.target ? ' ' + s.target : ''} (${s.durationMs}ms)${s.error ? ': ' + s.error : ''}`));
+      console.log('\nExtracted:');
+      result.extractors.forEach(e => {
+        console.log(`  ${e.name}: ${formatCliValue(e.value)}`);
+        if (JSON.stringify(e.raw) !== JSON.stringify(e.value)) console.log(`    raw: ${formatCliValue(e.raw)}`);
+        if (e.error) console.log(`    error: ${e.error}`);
+      });
+      if (!result.success) {
+        console.log(`\n✗ ${result.error}`);
+        return 1;
+      }
+      console.log(result.baseline
+        ? '\nNo saved state: a real run would save this as the baseline'
+        : `\n${result.changes.length} change(s) against saved state${result.changes.length ? ': ' + result.changes.map(c => c.name).join(', ') : ''}`);
+      return 0;
+    }
+
+    case 'validate':
+      return cliValidate(positional);
+
+    case 'state': {
+      const [action, watchId] = positional;
+      if (!watchId || !['show', 'reset'].includes(action)) {
+        throw new Error('Usage: mon-itor state show|reset <id>');
+      }
+      if (!fs.existsSync(statePath(watchId))) {
+        console.log(`No state for ${watchId}`);
+        return 1;
+      }
+      if (action === 'show') {
+        console.log(JSON.stringify(loadState(watchId), null, 2));
+      } else {
+        resetBaseline(watchId);
+        console.log(`State for ${watchId} reset`);
+      }
+      return 0;
+    }
+
+    case 'history': {
+      const watchId = positional[0];
+      if (!watchId) throw new Error('Usage: mon-itor history <id> [--limit N] [--changes] [--field name] [--json]');
+      const result = await queryHistory(watchId, {
+        field: flags.field,
+        changesOnly: !!flags.changes,
+        limit: parseInt(flags.limit) || 20
+      });
+      if (flags.json) {
+        console.log(JSON.stringify(result, null, 2));
+        return 0;
+      }
+      console.log(`${result.total} entries for ${watchId}${result.total > result.entries.length ? ` (showing ${result.entries.length})` : ''}`);
+      for (const entry of result.entries) {
+        const status = !entry.success ? `✗ ${entry.error}`
+          : entry.baseline ? 'baseline'
+          : entry.changes?.length ? `changed: ${entry.changes.map(c => c.name).join(', ')}`
+          : 'no changes';
+        console.log(`  ${entry.timestamp}  ${status}${entry.durationMs !== undefined ? ` (${entry.durationMs}ms)` : ''}`);
+      }
+      return 0;
+    }
+
+    case 'notify-test':
+      return cliNotifyTest(positional[0]);
+
+    case 'schema':
+      console.log(JSON.stringify(WATCH_SCHEMA, null, 2));
+      return 0;
+
+    case 'hash-password': {
+      // From stdin by default, so the password stays out of shell history
+      const password = positional[0] ?? fs.readFileSync(0, 'utf8').replace(/\r?\n$/, '');
+      if (!password) throw new Error('Usage: mon-itor hash-password [password]');
+      console.log(hashPassword(password));
+      return 0;
+    }
+
+    case 'help':
+    case '--help':
+    case '-h':
+      console.log(CLI_USAGE);
+      return 0;
+
+    default:
+      console.log(`Unknown command: ${command}\n`);
+      console.log(CLI_USAGE);
+      return 2;
+  }
+}
+
+// Internals covered by the tests in test/; requiring the module starts nothing
+module.exports = {
+  parseCron,
+  nextCronRun,
+  getConfigErrors,
+  WATCH_SCHEMA,
+  validateSchema,
+  detectChanges,
+  compareRecords,
+  diffSequences,
+  compareText,
+  notify,
+  loadOutbox,
+  retryDelay,
+  attemptDelivery,
+  processOutbox,
+  resendDelivery,
+  parseCookies,
+  startHealthServer
+};
+
+if (require.main === module) {
+  installLogRedaction();
+  const [command, ...args] = process.argv.slice(2);
+  if (!command || command === 'daemon') {
+    main().catch(console.error);
+  } else {
+    runCli(command, args).then(code => process.exit(code), e => {
+      console.error(`Error: ${e.message}`);
+      process.exit(1);
+    });
+  }
+}
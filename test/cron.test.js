@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { parseCron, nextCronRun } = require('../monitor.js');
+
+const next = (expr, after, timeZone = 'UTC') => nextCronRun(expr, new Date(after), timeZone)?.toISOString() ?? null;
+
+test('steps fire on the next matching minute', () => {
+  assert.strictEqual(next('*/15 * * * *', '2026-01-15T10:07:30Z'), '2026-01-15T10:15:00.000Z');
+});
+
+test('the next run is strictly after the given time', () => {
+  assert.strictEqual(next('*/15 * * * *', '2026-01-15T10:15:00Z'), '2026-01-15T10:30:00.000Z');
+});
+
+test('weekday ranges skip the weekend', () => {
+  // 2026-01-16 is a Friday
+  assert.strictEqual(next('0 9 * * 1-5', '2026-01-16T09:00:00Z'), '2026-01-19T09:00:00.000Z');
+});
+
+test('macros expand to their cron expression', () => {
+  assert.strictEqual(next('@daily', '2026-01-01T10:00:00Z'), '2026-01-02T00:00:00.000Z');
+});
+
+test('wall-clock times follow the timezone, including DST', () => {
+  assert.strictEqual(next('0 9 * * *', '2026-01-15T00:00:00Z', 'America/New_York'), '2026-01-15T14:00:00.000Z');
+  assert.strictEqual(next('0 9 * * *', '2026-07-15T00:00:00Z', 'America/New_York'), '2026-07-15T13:00:00.000Z');
+});
+
+test('a time skipped by the spring-forward gap waits for the next day', () => {
+  assert.strictEqual(next('30 2 * * *', '2026-03-08T05:00:00Z', 'America/New_York'), '2026-03-09T06:30:00.000Z');
+});
+
+test('restricted day-of-month and day-of-week match either one', () => {
+  // The 13th, or any Friday: 2026-02-06 is the first Friday of February
+  assert.strictEqual(next('0 0 13 * 5', '2026-02-01T00:00:00Z'), '2026-02-06T00:00:00.000Z');
+  assert.strictEqual(next('0 0 13 * *', '2026-02-01T00:00:00Z'), '2026-02-13T00:00:00.000Z');
+});
+
+test('expressions that never fire return null', () => {
+  assert.strictEqual(next('0 0 30 2 *', '2026-01-01T00:00:00Z'), null);
+});
+
+test('malformed expressions are rejected', () => {
+  assert.throws(() => parseCron('* * *'), /expected 5 fields/);
+  assert.throws(() => parseCron('61 * * * *'));
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { diffSequences, compareText } = require('../monitor.js');
+
+// Rebuild `b` from `a` and the edit script, to check the ranges line up
+function apply(a, b, edits) {
+  const out = [];
+  for (const edit of edits) {
+    if (edit.type === 'equal') out.push(...a.slice(edit.aStart, edit.aEnd));
+    if (edit.type === 'added') out.push(...b.slice(edit.bStart, edit.bEnd));
+  }
+  return out;
+}
+
+const editCount = edits => edits
+  .filter(edit => edit.type !== 'equal')
+  .reduce((sum, edit) => sum + (edit.aEnd - edit.aStart) + (edit.bEnd - edit.bStart), 0);
+
+test('identical sequences are one equal range', () => {
+  assert.deepStrictEqual(diffSequences(['a', 'b'], ['a', 'b']), [
+    { type: 'equal', aStart: 0, aEnd: 2, bStart: 0, bEnd: 2 }
+  ]);
+});
+
+test('edit scripts turn the old sequence into the new one', () => {
+  const cases = [
+    [[], ['x', 'y']],
+    [['x', 'y'], []],
+    ['ABCABBA'.split(''), 'CBABAC'.split('')],
+    ['the quick brown fox'.split(' '), 'the slow brown dog jumps'.split(' ')],
+    [['1', '2', '3', '4', '5'], ['0', '1', '3', '5', '6']]
+  ];
+  for (const [a, b] of cases) {
+    assert.deepStrictEqual(apply(a, b, diffSequences(a, b)), b);
+  }
+});
+
+test('edit scripts are minimal', () => {
+  // The example from Myers' paper: the shortest edit script has 5 edits
+  assert.strictEqual(editCount(diffSequences('ABCABBA'.split(''), 'CBABAC'.split(''))), 5);
+  assert.strictEqual(editCount(diffSequences(['a', 'b', 'c'], ['a', 'x', 'c'])), 2);
+});
+
+test('large inputs with a small change stay fast and exact', () => {
+  const a = Array.from({ length: 50000 }, (_, i) => `line ${i}`);
+  const b = [...a];
+  b.splice(25000, 1, 'changed');
+  const edits = diffSequences(a, b);
+  assert.strictEqual(editCount(edits), 2);
+  assert.deepStrictEqual(apply(a, b, edits), b);
+});
+
+test('changed lines show up in the unified diff and word highlights', () => {
+  const result = compareText('title\nprice: 12 EUR\nfooter', 'title\nprice: 10 EUR\nfooter');
+  assert.strictEqual(result.changed, true);
+  assert.strictEqual(result.details.linesAdded, 1);
+  assert.strictEqual(result.details.linesRemoved, 1);
+  assert.match(result.details.unified, /^- price: 10 EUR$/m);
+  assert.match(result.details.unified, /^\+ price: 12 EUR$/m);
+  assert.deepStrictEqual(
+    result.details.words.filter(word => word.type !== 'equal'),
+    [{ type: 'removed', text: '10' }, { type: 'added', text: '12' }]
+  );
+});
+
+test('ignore options and minChangedChars suppress small changes', () => {
+  assert.strictEqual(compareText('a  b\n', 'a b\n', { ignoreWhitespace: true }).changed, false);
+  assert.strictEqual(compareText('Hello', 'hello', { ignoreCase: true }).changed, false);
+  assert.strictEqual(compareText('updated 10:42', 'updated 10:41', { ignorePatterns: ['\\d+:\\d+'] }).changed, false);
+  assert.strictEqual(compareText('price 12', 'price 10', { minChangedChars: 5 }).changed, false);
+});
+
+test('page rewrites are truncated but still counted', () => {
+  const previous = Array.from({ length: 3000 }, (_, i) => `old line ${i} with some text`).join('\n');
+  const current = Array.from({ length: 3000 }, (_, i) => `new line ${i} with other words`).join('\n');
+  const { details } = compareText(current, previous);
+  assert.strictEqual(details.linesAdded, 3000);
+  assert.strictEqual(details.linesRemoved, 3000);
+  assert.ok(details.unified.length <= 20100);
+  assert.match(details.unified, /more lines$/);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { detectChanges, compareRecords } = require('../monitor.js');
+
+const previous = [
+  { sku: 'a1', title: 'Boots', price: 120, seen: '10:00' },
+  { sku: 'b2', title: 'Gloves', price: 30, seen: '10:00' },
+  { sku: 'c3', title: 'Hat', price: 25, seen: '10:00' }
+];
+const current = [
+  { sku: 'b2', title: 'Gloves', price: 25, seen: '10:05' },
+  { sku: 'a1', title: 'Boots', price: 120, seen: '10:05' },
+  { sku: 'd4', title: 'Scarf', price: 20, seen: '10:05' }
+];
+
+test('records are matched by key, not position', () => {
+  const { added, removed, modified } = compareRecords(current, previous, { keyField: 'sku', ignoreFields: ['seen'] });
+  assert.deepStrictEqual(added, [current[2]]);
+  assert.deepStrictEqual(removed, [previous[2]]);
+  assert.deepStrictEqual(modified, [{
+    key: 'b2',
+    previous: previous[1],
+    current: current[0],
+    fields: { price: { previous: 30, current: 25 } }
+  }]);
+});
+
+test('ignored fields never count as modifications', () => {
+  const { modified } = compareRecords(current, previous, { keyField: 'sku' });
+  assert.deepStrictEqual(modified.map(m => [m.key, Object.keys(m.fields)]), [
+    ['b2', ['price', 'seen']],
+    ['a1', ['seen']]
+  ]);
+});
+
+test('composite keys combine several fields', () => {
+  const before = [{ date: '2026-01-10', level: 'beginner', spots: 4 }, { date: '2026-01-10', level: 'advanced', spots: 2 }];
+  const after = [{ date: '2026-01-10', level: 'beginner', spots: 3 }, { date: '2026-01-10', level: 'advanced', spots: 2 }];
+  const { added, removed, modified } = compareRecords(after, before, { keyField: ['date', 'level'] });
+  assert.deepStrictEqual([added, removed], [[], []]);
+  assert.deepStrictEqual(modified.map(m => m.key), ['2026-01-10 / beginner']);
+});
+
+test('records without a key value are compared whole', () => {
+  const { added, removed, modified } = compareRecords([{ title: 'B' }], [{ title: 'A' }], { keyField: 'sku' });
+  assert.deepStrictEqual([added, removed, modified], [[{ title: 'B' }], [{ title: 'A' }], []]);
+});
+
+test('the keyed comparator reports changes with record details', () => {
+  const config = { comparator: 'keyed', keyField: 'sku', ignoreFields: ['seen'] };
+  const [change] = detectChanges({ items: current }, { items: previous }, config);
+  assert.strictEqual(change.name, 'items');
+  assert.strictEqual(change.comparator, 'keyed');
+  assert.deepStrictEqual(change.details.added.map(r => r.sku), ['d4']);
+  assert.deepStrictEqual(change.details.removed.map(r => r.sku), ['c3']);
+  assert.deepStrictEqual(change.details.modified.map(m => m.key), ['b2']);
+});
+
+test('notifyOn limits which kinds of change trigger', () => {
+  const extractors = [{ name: 'items', comparator: 'keyed', keyField: 'sku', notifyOn: ['added'] }];
+  const onlyRemoved = current.filter(r => r.sku !== 'd4');
+  assert.deepStrictEqual(detectChanges({ items: onlyRemoved }, { items: current }, {}, extractors), []);
+  assert.strictEqual(detectChanges({ items: current }, { items: onlyRemoved }, {}, extractors).length, 1);
+});
+
+test('unchanged listings report nothing, whatever the order', () => {
+  const config = { comparator: 'keyed', keyField: 'sku' };
+  assert.deepStrictEqual(detectChanges({ items: [...previous].reverse() }, { items: previous }, config), []);
+});
@@ -0,0 +1,161 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+
+const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mon-itor-outbox-'));
+process.env.STATE_DIR = stateDir;
+process.env.NOTIFY_MAX_ATTEMPTS = '3';
+process.env.NOTIFY_RETRY_BASE_MS = '1000';
+process.env.NOTIFY_RETRY_MAX_MS = '4000';
+process.env.API_KEY = 'api-key-0123456789';
+
+const {
+  notify, loadOutbox, retryDelay, attemptDelivery, processOutbox, resendDelivery
+} = require('../monitor.js');
+
+// Webhook endpoint answering with the queued responses, then 200
+let responses = [];
+const received = [];
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    received.push(JSON.parse(body));
+    const { status = 200, headers = {} } = responses.shift() || {};
+    res.writeHead(status, headers);
+    res.end(status === 200 ? 'ok' : 'nope');
+  });
+});
+
+let watchCount = 0;
+// A fresh watch per notification, so throttling never gets in the way
+function watch() {
+  watchCount++;
+  return {
+    id: `watch-${watchCount}`,
+    name: `Watch ${watchCount}`,
+    url: 'https://example.com',
+    notifications: [{ type: 'webhook', url: `http://127.0.0.1:${server.address().port}/hook` }]
+  };
+}
+
+const changes = [{ name: 'price', previous: '10', current: '12', comparator: 'exact', details: null }];
+const deliveryFor = config => loadOutbox().find(d => d.watchId === config.id);
+const savedOutbox = () => JSON.parse(fs.readFileSync(path.join(stateDir, 'notifications', 'outbox.json'), 'utf8'));
+
+test.before(async () => {
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(stateDir, { recursive: true, force: true });
+});
+
+test('backoff doubles per attempt up to the maximum, and honors Retry-After', () => {
+  assert.deepStrictEqual([1, 2, 3, 4, 10].map(attempts => retryDelay(attempts)), [1000, 2000, 4000, 4000, 4000]);
+  assert.strictEqual(retryDelay(1, { retryAfterMs: 120000 }), 120000);
+  assert.strictEqual(retryDelay(1, { retryAfterMs: 10 }), 1000);
+});
+
+test('successful deliveries leave the outbox', async () => {
+  const config = watch();
+  await notify(config, changes, { price: '12' });
+  assert.strictEqual(deliveryFor(config), undefined);
+  assert.strictEqual(received.at(-1).id, config.id);
+});
+
+test('failed deliveries are kept, backed off and retried when due', async () => {
+  const config = watch();
+  responses = [{ status: 500 }];
+  const before = Date.now();
+  await notify(config, changes, { price: '12' });
+
+  const delivery = deliveryFor(config);
+  assert.strictEqual(delivery.status, 'pending');
+  assert.strictEqual(delivery.attempts, 1);
+  assert.match(delivery.lastError, /HTTP 500/);
+  assert.ok(Date.parse(delivery.nextAttemptAt) >= before + 1000);
+  assert.ok(savedOutbox().some(d => d.id === delivery.id), 'persisted before the retry');
+
+  // Not due yet
+  await processOutbox();
+  assert.strictEqual(delivery.attempts, 1);
+
+  delivery.nextAttemptAt = new Date(Date.now() - 1).toISOString();
+  await processOutbox();
+  assert.strictEqual(delivery.status, 'sent');
+  assert.strictEqual(deliveryFor(config), undefined);
+});
+
+test('rate limits wait for Retry-After', async () => {
+  const config = watch();
+  responses = [{ status: 429, headers: { 'Retry-After': '120' } }];
+  const before = Date.now();
+  await notify(config, changes, { price: '12' });
+  const delivery = deliveryFor(config);
+  assert.strictEqual(delivery.status, 'pending');
+  assert.ok(Date.parse(delivery.nextAttemptAt) >= before + 120000);
+});
+
+test('deliveries become dead letters after the last attempt, and can be resent', async () => {
+  const config = watch();
+  responses = [{ status: 503 }, { status: 503 }, { status: 503 }];
+  await notify(config, changes, { price: '12' });
+  const delivery = deliveryFor(config);
+  for (let attempt = 2; attempt <= 3; attempt++) {
+    await attemptDelivery(delivery);
+  }
+  assert.strictEqual(delivery.status, 'failed');
+  assert.strictEqual(delivery.attempts, 3);
+  assert.ok(delivery.failedAt);
+
+  // Dead letters are not retried on their own
+  delivery.nextAttemptAt = new Date(0).toISOString();
+  await processOutbox();
+  assert.strictEqual(delivery.attempts, 3);
+
+  const resent = await resendDelivery(delivery.id);
+  assert.strictEqual(resent.status, 'sent');
+  assert.strictEqual(deliveryFor(config), undefined);
+});
+
+test('client errors fail permanently without retries', async () => {
+  const config = watch();
+  responses = [{ status: 404 }];
+  await notify(config, changes, { price: '12' });
+  const delivery = deliveryFor(config);
+  assert.strictEqual(delivery.status, 'failed');
+  assert.strictEqual(delivery.attempts, 1);
+});
+
+test('deliveries store redacted change summaries, not the changes', async () => {
+  // Resolving a reference (here, sending with it) is what marks its value for redaction
+  const sender = watch();
+  sender.notifications[0].headers = { 'X-Api-Key': '${env:API_KEY}' };
+  await notify(sender, changes, { price: '12' });
+
+  const config = watch();
+  responses = [{ status: 500 }];
+  const leaky = [{
+    name: 'body',
+    previous: 'old',
+    current: 'new text with api-key-0123456789',
+    comparator: 'exact',
+    details: { payload: 'x'.repeat(10000) }
+  }];
+  await notify(config, leaky, { body: 'new' });
+
+  const stored = savedOutbox().find(d => d.watchId === config.id);
+  assert.deepStrictEqual(stored.meta, {
+    isError: false,
+    errorMsg: '',
+    changes: [{ name: 'body', description: 'old → new text with ***' }]
+  });
+  assert.ok(!JSON.stringify(stored).includes('api-key-0123456789'));
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { WATCH_SCHEMA, validateSchema, getConfigErrors } = require('../monitor.js');
+
+const watch = (overrides = {}) => ({
+  name: 'Example',
+  url: 'https://example.com',
+  extractors: [{ name: 'price', type: 'text', selector: '.price' }],
+  ...overrides
+});
+
+test('the bundled examples are valid', () => {
+  const dir = path.join(__dirname, '..', 'examples');
+  for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.json'))) {
+    assert.deepStrictEqual(getConfigErrors(JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'))), [], file);
+  }
+});
+
+test('missing and mistyped options are reported by path', () => {
+  assert.deepStrictEqual(getConfigErrors({ name: 'x' }), ['url: required', 'extractors: required']);
+  assert.deepStrictEqual(getConfigErrors(watch({ url: 42 })), ['url: expected string, got number']);
+  assert.deepStrictEqual(getConfigErrors([]), ['(root): expected object, got array']);
+});
+
+test('typos get a suggestion', () => {
+  assert.deepStrictEqual(getConfigErrors(watch({ intervall: 60000 })), ['intervall: unknown option (did you mean "interval"?)']);
+  assert.deepStrictEqual(
+    getConfigErrors(watch({ extractors: [{ name: 'price', type: 'txt', selector: '.price' }] })),
+    ['extractors[0].type: unknown value "txt" (did you mean "text"?)']
+  );
+  assert.deepStrictEqual(
+    getConfigErrors(watch({ extractors: [{ name: 'price', type: 'text', selector: '.price', comparater: 'exact' }] })),
+    ['extractors[0].comparater: unknown option for type "text" (did you mean "comparator"?)']
+  );
+});
+
+test('options required by an extractor type or comparator are checked', () => {
+  assert.deepStrictEqual(
+    getConfigErrors(watch({ extractors: [{ name: 'items', type: 'records', selector: '.item', comparator: 'keyed' }] })),
+    ['extractors[0].fields: required for type "records"', 'extractors[0].keyField: required for the keyed comparator']
+  );
+  assert.deepStrictEqual(
+    getConfigErrors(watch({ extractors: [{ name: 'price', type: 'text', selector: '.price', comparator: 'visual' }] })),
+    ['extractors[0].comparator: visual comparator requires a screenshot extractor']
+  );
+});
+
+test('rules across options are checked', () => {
+  const duplicate = { name: 'price', type: 'text', selector: '.other' };
+  assert.deepStrictEqual(
+    getConfigErrors(watch({ extractors: [...watch().extractors, duplicate] })),
+    ['extractors[1].name: duplicate extractor name "price"']
+  );
+  assert.deepStrictEqual(getConfigErrors(watch({ id: '../etc' })), ['id: must not be "." or ".." or contain path separators']);
+  assert.deepStrictEqual(
+    getConfigErrors(watch({ engine: 'http', extractors: [{ name: 'shot', type: 'screenshot' }] })),
+    ['extractors[0].type: screenshot is not supported with engine "http"']
+  );
+});
+
+test('schedules and timezones are parsed, not just type-checked', () => {
+  assert.deepStrictEqual(getConfigErrors(watch({ schedule: '0 9 * * 1-5', scheduleTimezone: 'Europe/Berlin' })), []);
+  assert.deepStrictEqual(getConfigErrors(watch({ schedule: '0 9 * *', scheduleTimezone: 'Mars/Base' })), [
+    'schedule: Invalid cron expression "0 9 * *": expected 5 fields (minute hour dayOfMonth month dayOfWeek)',
+    'scheduleTimezone: invalid timezone Mars/Base'
+  ]);
+  assert.ok(getConfigErrors(watch({ schedule: '0 9 * * *', interval: 60000 }))
+    .includes('schedule: cannot specify both schedule (cron) and interval'));
+});
+
+test('anyOf reports the errors of the closest branch', () => {
+  const schema = { anyOf: [{ type: 'string', minLength: 1 }, { type: 'object', required: ['url'] }] };
+  assert.deepStrictEqual(validateSchema('', schema), ['(root): must not be empty']);
+  assert.deepStrictEqual(validateSchema({}, schema), ['url: required']);
+  assert.deepStrictEqual(validateSchema(5, schema), ['(root): expected string, got number']);
+});
+
+test('the published schema is plain JSON', () => {
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(WATCH_SCHEMA)), WATCH_SCHEMA);
+});